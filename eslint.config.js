@@ -83,6 +83,7 @@ module.exports = [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         URL: 'readonly',
+        AbortController: 'readonly',
         FormData: 'readonly',
         Audio: 'readonly',
         sessionStorage: 'readonly',
@@ -94,6 +95,23 @@ module.exports = [
       'security/detect-non-literal-fs-filename': 'off'
     }
   },
+  // Tests (node --test) are CommonJS too
+  {
+    files: ['test/**'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        require: 'readonly',
+        module: 'readonly',
+        __dirname: 'readonly',
+        process: 'readonly',
+        AbortController: 'readonly',
+        URL: 'readonly',
+        setTimeout: 'readonly',
+        URLSearchParams: 'readonly'
+      }
+    }
+  },
   // Electron main specific rules
   {
     files: ['main.js'],
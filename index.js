@@ -1,7 +1,18 @@
 /*! last-fm. MIT License. Feross Aboukhadijeh <https://feross.org/opensource> */
-const get = require('simple-get')
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
 const querystring = require('querystring')
+const { Readable } = require('stream')
 const parallel = require('run-parallel')
+const ArtistGraph = require('./utils/artist-graph')
+const { recordTransport, replayTransport } = require('./utils/fixtures')
+const LRUCache = require('./utils/lru-cache')
+const Metrics = require('./utils/metrics')
+const relevance = require('./utils/relevance')
+const { validateResponse } = require('./utils/response-schemas')
+const RateLimiter = require('./utils/rate-limiter')
+const { simpleGetTransport, fetchTransport } = require('./utils/transport')
+const { sanitizeHtml } = require('./utils/security')
 
 const IMAGE_WEIGHT = {
   '': 1, // missing size is ranked last
@@ -12,64 +23,720 @@ const IMAGE_WEIGHT = {
   mega: 6
 }
 
-class LastFM {
+// Last.fm serves this grey star image for artists and albums without artwork
+const PLACEHOLDER_IMAGE_HASH = '2a96cbd8b46e442fc41c2b86b821562f'
+
+const PLACEHOLDER_IMAGE_MODES = ['keep', 'mark', 'drop']
+
+// Last.fm error codes that indicate a temporary condition: 8 (operation failed),
+// 11 (service offline), 16 (temporarily unavailable), 29 (rate limit exceeded)
+const RETRYABLE_ERROR_CODES = [8, 11, 16, 29]
+
+const DEFAULT_BASE_URL = 'https://ws.audioscrobbler.com/2.0/'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// How long responses are cached, by API method. Charts change often, while
+// biographies and wikis rarely do.
+const CACHE_TTL = {
+  default: HOUR,
+  'album.getInfo': 24 * HOUR,
+  'artist.getInfo': 24 * HOUR,
+  'tag.getInfo': 24 * HOUR,
+  'track.getInfo': 24 * HOUR,
+  'chart.getTopArtists': 10 * MINUTE,
+  'chart.getTopTags': 10 * MINUTE,
+  'chart.getTopTracks': 10 * MINUTE,
+  'geo.getTopArtists': 10 * MINUTE,
+  'geo.getTopTracks': 10 * MINUTE,
+  // Changes with every listen, and tells whether the user is listening now
+  'user.getRecentTracks': 0,
+  'user.getFriends': 10 * MINUTE,
+  'user.getInfo': 10 * MINUTE,
+  'user.getLovedTracks': 10 * MINUTE,
+  'user.getPersonalTags': 10 * MINUTE,
+  'user.getTopAlbums': 10 * MINUTE,
+  'user.getTopArtists': 10 * MINUTE,
+  'user.getTopTags': 10 * MINUTE,
+  'user.getTopTracks': 10 * MINUTE
+}
+
+// Methods that act on behalf of a user and need a session key (`sk`)
+const SESSION_METHODS = ['track.love', 'track.scrobble', 'track.unlove', 'track.updateNowPlaying']
+
+// Methods that must be signed with the API secret. Signed requests are sent as
+// POST and are never cached.
+const SIGNED_METHODS = ['auth.getSession', 'auth.getToken'].concat(SESSION_METHODS)
+
+// How long to remember that an info lookup has no English wiki either, so
+// localized lookups of it don't request the English fallback again
+const NO_WIKI_TTL = 24 * HOUR
+
+// Maximum number of scrobbles Last.fm accepts in one `track.scrobble` request
+const MAX_SCROBBLE_BATCH = 50
+
+// Methods that return one page of results at a time, see `paginate()`
+const PAGED_METHODS = [
+  'albumSearch',
+  'artistSearch',
+  'artistTopAlbums',
+  'artistTopTracks',
+  'chartTopArtists',
+  'chartTopTags',
+  'chartTopTracks',
+  'geoTopArtists',
+  'geoTopTracks',
+  'libraryArtists',
+  'tagTopAlbums',
+  'tagTopArtists',
+  'tagTopTracks',
+  'trackSearch',
+  'userFriends',
+  'userLovedTracks',
+  'userPersonalTags',
+  'userRecentTracks',
+  'userTopAlbums',
+  'userTopArtists',
+  'userTopTracks'
+]
+
+// Time periods accepted by the user top charts
+const PERIODS = ['overall', '7day', '1month', '3month', '6month', '12month']
+
+// Public methods that don't follow the `(opts, cb)` convention
+const NON_CALLBACK_METHODS = ['authUrl', 'enrich', 'libraryExport', 'paginate', 'stats']
+
+// Items looked up at once by `enrich()`, unless `concurrency` is given
+const ENRICH_CONCURRENCY = 5
+
+// Fields `enrich()` keeps in every result, whatever `fields` are picked
+const ENRICH_KEPT_FIELDS = ['type', 'name', 'mbid', 'artistName', 'warnings']
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+const LIBRARY_CSV_COLUMNS = ['name', 'mbid', 'playcount', 'tagcount', 'image']
+
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+
+/**
+ * Error returned for Last.fm API failures (`code` is the numeric Last.fm error
+ * code) and HTTP failures (`code` is null, see `statusCode`).
+ */
+class LastFMError extends Error {
+  constructor (message, opts) {
+    super(message)
+    this.name = 'LastFMError'
+    this.code = opts.code != null ? Number(opts.code) : null
+    this.method = opts.method
+    this.statusCode = opts.statusCode
+    this.params = opts.params
+    this.isRetryable = !!opts.isRetryable
+  }
+}
+
+/**
+ * Cache key for a request: the method followed by the remaining params, sorted,
+ * trimmed and lowercased, so that equivalent requests share an entry.
+ */
+function cacheKey (params) {
+  return Object.keys(params)
+    .filter(key => params[key] != null && key !== 'api_key' && key !== 'format')
+    .sort()
+    .map(key => key + '=' + String(params[key]).trim().toLowerCase())
+    .join('&')
+}
+
+/**
+ * Convert a `Date`, or a Unix timestamp in seconds, to a Unix timestamp
+ */
+function toUnixTime (time) {
+  if (time instanceof Date) return Math.floor(time.getTime() / 1000)
+  return time != null ? Number(time) : time
+}
+
+function toArray (value) {
+  if (value == null || value === '') return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * Parse a Last.fm wiki date such as "12 Mar 2006, 12:20" (UTC)
+ */
+function parseWikiDate (str) {
+  const match = /^(\d{1,2}) ([A-Z][a-z]{2}) (\d{4}), (\d{2}):(\d{2})$/.exec(str || '')
+  if (!match || !MONTHS.includes(match[2])) return undefined
+  const [, day, month, year, hours, minutes] = match
+  return new Date(Date.UTC(Number(year), MONTHS.indexOf(month), Number(day), Number(hours), Number(minutes)))
+}
+
+function htmlToText (html) {
+  return html
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = /x/i.test(name[1]) ? parseInt(name.slice(2), 16) : Number(name.slice(1))
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity
+      }
+      return HTML_ENTITIES[name.toLowerCase()] || entity
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .trim()
+}
+
+/**
+ * URL of the image closest to `size` from a parsed `images` array: the exact
+ * size if present, otherwise the next larger one, otherwise the largest.
+ * Placeholder images are skipped. Without `size`, the largest image is used.
+ */
+function bestImage (images, size) {
+  const candidates = (images || []).filter(image => !image.placeholder)
+  if (candidates.length === 0) return undefined
+  const weight = IMAGE_WEIGHT[size] || IMAGE_WEIGHT.mega
+  const image = candidates.find(image => IMAGE_WEIGHT[image.size] >= weight) ||
+    candidates[candidates.length - 1]
+  return image.url
+}
+
+/**
+ * Whether `url` is an absolute http: or https: URL
+ */
+function isHttpUrl (url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Transport for the `transport` option: a custom function, 'fetch' or the
+ * default 'simple-get' (see utils/transport.js). With the `replay` option,
+ * responses come from the fixtures in that directory instead, and with
+ * `record`, responses are saved there (see utils/fixtures.js).
+ */
+function createTransport (opts) {
+  if (opts.record && opts.replay) {
+    throw new Error('The `record` and `replay` options can\'t be used together')
+  }
+  if (opts.replay) return replayTransport(opts.replay)
+  if (opts.record) return recordTransport(createTransport(Object.assign({}, opts, { record: null })), opts.record)
+  if (typeof opts.transport === 'function') return opts.transport
+  if (opts.transport === 'fetch') {
+    if (opts.proxy || opts.agent) {
+      throw new Error('The fetch transport does not support `proxy` or `agent`, pass a `dispatcher` instead')
+    }
+    return fetchTransport({ dispatcher: opts.dispatcher })
+  }
+  if (opts.transport && opts.transport !== 'simple-get') {
+    throw new Error('Invalid option: transport must be a function, simple-get or fetch')
+  }
+  return simpleGetTransport({ agent: opts.agent, proxy: opts.proxy, keepAlive: opts.keepAlive })
+}
+
+/**
+ * Error passed to callbacks (and rejected by promises) of aborted calls
+ */
+function abortError () {
+  const err = new Error('The request was aborted')
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  return err
+}
+
+/**
+ * Call options as reported in `meta.query`, without the AbortSignal (which
+ * can't be serialized, e.g. sent over IPC)
+ */
+function toQuery (opts) {
+  if (!opts.signal) return opts
+  const query = Object.assign({}, opts)
+  delete query.signal
+  return query
+}
+
+/**
+ * `result` with only the `fields` asked for (plus ENRICH_KEPT_FIELDS), or all
+ * of them if `fields` is not given
+ */
+function pickFields (result, fields) {
+  if (!fields) return result
+  return Object.fromEntries(Object.entries(result)
+    .filter(([key]) => ENRICH_KEPT_FIELDS.includes(key) || fields.includes(key)))
+}
+
+function toCSVField (value) {
+  if (value == null) return ''
+  value = String(value)
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+}
+
+function scrubParams (params) {
+  const scrubbed = Object.assign({}, params)
+  delete scrubbed.api_key
+  delete scrubbed.api_sig
+  delete scrubbed.format
+  delete scrubbed.sk
+  delete scrubbed.token
+  return scrubbed
+}
+
+/**
+ * Last.fm API signature: the MD5 hash of every param name and value, sorted by
+ * name and concatenated, followed by the API secret.
+ * See https://www.last.fm/api/authspec#_8-signing-calls
+ */
+function signParams (params, secret) {
+  const str = Object.keys(params)
+    .filter(key => key !== 'format' && key !== 'callback')
+    .sort()
+    .map(key => key + params[key])
+    .join('') + secret
+  return crypto.createHash('md5').update(str, 'utf8').digest('hex')
+}
+
+/**
+ * Events, all with `{ method, ... }` where `method` is the API method name:
+ * - `request` ({ method, attempt, params }) when a request is sent
+ * - `response` ({ method, attempt, duration, statusCode, size }) for every
+ *   response, including Last.fm error responses
+ * - `retry` ({ method, attempt, delay, error }) before a failed request is retried
+ * - `error` ({ method, attempt, duration, statusCode, error }) when a request
+ *   fails for good; only emitted if there is a listener
+ * - `cacheHit` ({ method, duration }) when a response is served from the cache
+ */
+class LastFM extends EventEmitter {
   constructor (key, opts) {
+    super()
     if (!key) throw new Error('Missing required `key` argument')
     if (!opts) opts = {}
     this._key = key
+    this._lang = opts.lang || null
+    this._secret = opts.secret || null
+    this._sessionKey = opts.sessionKey || null
     this._userAgent = opts.userAgent || 'last-fm (https://github.com/feross/last-fm)'
+    this._baseUrl = opts.baseUrl || DEFAULT_BASE_URL
+    if (!isHttpUrl(this._baseUrl)) {
+      throw new Error('Invalid option: baseUrl must be an http: or https: URL')
+    }
+    this._transport = createTransport(opts)
     this._minArtistListeners = opts.minArtistListeners || 0
     this._minTrackListeners = opts.minTrackListeners || 0
+    this._placeholderImages = opts.placeholderImages || 'mark'
+    if (!PLACEHOLDER_IMAGE_MODES.includes(this._placeholderImages)) {
+      throw new Error('Invalid option: placeholderImages must be one of ' + PLACEHOLDER_IMAGE_MODES.join(', '))
+    }
+    this._retries = opts.retries != null ? opts.retries : 2
+    this._retryDelay = opts.retryDelay != null ? opts.retryDelay : 1000
+    this._maxRetryDelay = opts.maxRetryDelay != null ? opts.maxRetryDelay : 30 * 1000
+    this._cache = opts.cache === true ? new LRUCache({ max: opts.cacheSize }) : opts.cache || null
+    this._cacheTtl = Object.assign({}, CACHE_TTL, opts.cacheTtl)
+    this._cacheHits = 0
+    this._cacheMisses = 0
+    this._dedupe = opts.dedupe !== false
+    this._inFlight = new Map()
+    this._noEnglishWiki = new LRUCache({ max: 1000 })
+    this._requests = 0
+    this._coalesced = 0
+    this._metrics = new Metrics()
+    this._limiter = new RateLimiter({
+      requestsPerSecond: opts.requestsPerSecond || 5,
+      maxConcurrent: opts.maxConcurrent || 5
+    })
+  }
+
+  /**
+   * Session key used for methods that act on behalf of a user, see `authSession()`
+   */
+  get sessionKey () {
+    return this._sessionKey
+  }
+
+  set sessionKey (sessionKey) {
+    this._sessionKey = sessionKey || null
+  }
+
+  /**
+   * Request queue statistics: current depth, running requests and wait times (ms)
+   */
+  get queueStats () {
+    return this._limiter.stats()
+  }
+
+  /**
+   * Response cache hit/miss counters
+   */
+  get cacheStats () {
+    const lookups = this._cacheHits + this._cacheMisses
+    return {
+      hits: this._cacheHits,
+      misses: this._cacheMisses,
+      hitRate: lookups ? this._cacheHits / lookups : 0
+    }
+  }
+
+  /**
+   * In-flight request coalescing counters: `requests` is the number of calls
+   * that needed the network, `coalesced` how many of them shared another
+   * identical call's request instead of sending their own.
+   */
+  get dedupeStats () {
+    return {
+      requests: this._requests,
+      coalesced: this._coalesced,
+      inFlight: this._inFlight.size
+    }
+  }
+
+  /**
+   * Diagnostics snapshot: per API method counters and latency histograms
+   * (`methods`), plus the `queue`, `cache` and `dedupe` stats
+   */
+  stats () {
+    return {
+      methods: this._metrics.snapshot(),
+      queue: this.queueStats,
+      cache: this.cacheStats,
+      dedupe: this.dedupeStats
+    }
+  }
+
+  /**
+   * Emit a lifecycle event. Unlike `emit()`, an `error` event without a listener
+   * is ignored, since the error also goes to the caller.
+   */
+  _emitEvent (event, info) {
+    if (this.listenerCount(event) > 0) this.emit(event, info)
+  }
+
+  /**
+   * Send a request and call `cb(err, data, warnings)` with the `name` part of
+   * the response, checked against the method's schema (utils/response-schemas.js).
+   * Missing or malformed fields are repaired and reported in `warnings`.
+   */
+  _sendRequest (params, name, opts, cb) {
+    const method = params.method
+    this._cachedFetch(params, name, opts, (err, data) => {
+      if (err) return cb(err)
+      const { value, warnings } = validateResponse(method, name, data)
+      cb(null, value, warnings)
+    })
   }
 
-  _sendRequest (params, name, cb) {
+  _cachedFetch (params, name, opts, cb) {
+    if (opts.signal && opts.signal.aborted) {
+      return process.nextTick(() => cb(abortError()))
+    }
+    const methodTtl = this._cacheTtl[params.method]
+    const ttl = this._cache && !SIGNED_METHODS.includes(params.method) &&
+      (methodTtl != null ? methodTtl : this._cacheTtl.default)
+    if (!ttl) return this._dedupeFetch(params, name, opts, cb)
+
+    const key = cacheKey(params)
+    const lookupStart = Date.now()
+    Promise.resolve()
+      .then(() => this._cache.get(key))
+      .catch(() => undefined) // treat a failing cache as a miss
+      .then(cached => process.nextTick(() => onLookup(cached)))
+
+    const onLookup = cached => {
+      if (cached !== undefined) {
+        this._cacheHits += 1
+        this._metrics.count(params.method, 'cacheHits')
+        this._emitEvent('cacheHit', { method: params.method, duration: Date.now() - lookupStart })
+        return cb(null, cached)
+      }
+      this._cacheMisses += 1
+      if (opts.signal && opts.signal.aborted) return cb(abortError())
+      this._dedupeFetch(params, name, opts, (err, data) => {
+        if (err) return cb(err)
+        Promise.resolve()
+          .then(() => this._cache.set(key, data, ttl))
+          .catch(() => {})
+        cb(null, data)
+      })
+    }
+  }
+
+  /**
+   * Fetch, sharing one network request between identical calls that are in
+   * flight at the same time. Signed methods (writes) are never shared.
+   *
+   * A caller that aborts (`opts.signal`) gets an AbortError right away. The
+   * shared request itself is only aborted once every caller has aborted.
+   */
+  _dedupeFetch (params, name, opts, cb) {
+    this._requests += 1
+    const shared = this._dedupe && !SIGNED_METHODS.includes(params.method)
+    const key = shared && cacheKey(params)
+
+    let request = shared && this._inFlight.get(key)
+    const isNew = !request
+    if (isNew) {
+      request = { callbacks: [], controller: new AbortController() }
+      if (shared) this._inFlight.set(key, request)
+    } else {
+      this._coalesced += 1
+    }
+
+    let callback = cb
+    const signal = opts.signal
+    if (signal) {
+      const onAbort = () => {
+        request.callbacks = request.callbacks.filter(c => c !== callback)
+        if (request.callbacks.length === 0) {
+          if (this._inFlight.get(key) === request) this._inFlight.delete(key)
+          request.controller.abort()
+        }
+        cb(abortError())
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      callback = (err, data) => {
+        signal.removeEventListener('abort', onAbort)
+        cb(err, data)
+      }
+    }
+    request.callbacks.push(callback)
+
+    if (!isNew) return
+    const fetchOpts = { priority: opts.priority, signal: request.controller.signal }
+    this._fetch(params, name, fetchOpts, (err, data) => {
+      if (this._inFlight.get(key) === request) this._inFlight.delete(key)
+      request.callbacks.forEach(cb => cb(err, data))
+    })
+  }
+
+  _fetch (params, name, opts, cb) {
+    const signed = SIGNED_METHODS.includes(params.method)
+    if (signed && !this._secret) {
+      return cb(new Error('Missing required `secret` option for signed method: ' + params.method))
+    }
+    if (SESSION_METHODS.includes(params.method)) {
+      if (!this._sessionKey) {
+        return cb(new Error('Missing session key for method: ' + params.method + ' (see authSession)'))
+      }
+      params.sk = this._sessionKey
+    }
+
     Object.assign(params, {
       api_key: this._key,
       format: 'json'
     })
 
-    const urlBase = 'https://ws.audioscrobbler.com/2.0/'
+    const query = {}
+    Object.keys(params)
+      .filter(key => params[key] != null)
+      .forEach(key => { query[key] = params[key] })
+    if (signed) query.api_sig = signParams(query, this._secret)
 
-    const opts = {
-      url: urlBase + '?' + querystring.stringify(params),
-      headers: {
-        'User-Agent': this._userAgent
-      },
-      timeout: 30 * 1000,
-      json: true
+    const method = params.method
+    const signal = opts.signal
+    let attempt = 0
+    let cancel = null // cancels the pending step: queued task, request or retry
+    let finished = false
+    let sentAt
+
+    const finish = (err, data) => {
+      if (finished) return
+      finished = true
+      if (signal) signal.removeEventListener('abort', onAbort)
+      cb(err, data)
     }
 
-    get.concat(opts, onResponse)
+    const onAbort = () => {
+      if (cancel) cancel()
+      this._metrics.count(method, 'aborted')
+      finish(abortError())
+    }
 
-    function onResponse (err, res, data) {
-      if (err) return cb(err)
-      if (data.error) return cb(new Error(data.message))
-      cb(null, data[name])
+    const send = () => {
+      let started = false
+      const unschedule = this._limiter.schedule(done => {
+        started = true
+        const controller = new AbortController()
+        const req = {
+          url: this._baseUrl,
+          method: 'GET',
+          headers: {
+            'User-Agent': this._userAgent
+          },
+          timeout: 30 * 1000,
+          signal: controller.signal
+        }
+        if (signed) {
+          req.method = 'POST'
+          req.headers['Content-Type'] = 'application/x-www-form-urlencoded'
+          req.body = querystring.stringify(query)
+        } else {
+          req.url += '?' + querystring.stringify(query)
+        }
+        sentAt = Date.now()
+        this._metrics.count(method, 'requests')
+        this._emitEvent('request', { method, attempt, params: scrubParams(query) })
+        let responded = false
+        const onTransport = (err, res, data) => {
+          if (responded) return
+          responded = true
+          done()
+          onResponse(err, res, data)
+        }
+        // Before sending: a transport that calls back synchronously may already
+        // have scheduled a retry, with a cancel of its own
+        cancel = () => {
+          if (responded) return
+          responded = true
+          done()
+          controller.abort()
+        }
+        try {
+          this._transport(req, onTransport)
+        } catch (err) {
+          // Thrown after calling back, e.g. by a callback further down
+          if (responded) throw err
+          onTransport(err)
+        }
+      }, opts.priority)
+      if (!started) cancel = unschedule
+    }
+
+    const onResponse = (err, res, data) => {
+      if (finished) return
+      const statusCode = res && res.statusCode
+      const duration = Date.now() - sentAt
+      if (statusCode) {
+        const size = res.size
+        this._metrics.observe(method, duration, size)
+        this._emitEvent('response', { method, attempt, duration, statusCode, size })
+      }
+      if (data && data.error) {
+        err = new LastFMError(data.message, {
+          code: data.error,
+          method: params.method,
+          statusCode,
+          params: scrubParams(params),
+          isRetryable: RETRYABLE_ERROR_CODES.includes(Number(data.error))
+        })
+      } else if (statusCode >= 400) {
+        err = new LastFMError(`Last.fm request failed (HTTP ${statusCode})`, {
+          method: params.method,
+          statusCode,
+          params: scrubParams(params),
+          isRetryable: statusCode >= 500
+        })
+      } else if (err) {
+        err.isRetryable = TRANSIENT_NETWORK_ERRORS.includes(err.code) || err.message === 'Request timed out'
+      }
+
+      if (!err) return finish(null, data[name])
+      if (err.isRetryable && attempt < this._retries) {
+        const delay = this._backoff(attempt)
+        this._metrics.count(method, 'retries')
+        this._emitEvent('retry', { method, attempt, delay, error: err })
+        attempt += 1
+        const timer = setTimeout(send, delay)
+        cancel = () => clearTimeout(timer)
+        return
+      }
+      this._metrics.count(method, 'errors')
+      this._emitEvent('error', { method, attempt, duration, statusCode, error: err })
+      finish(err)
+    }
+
+    if (signal) {
+      if (signal.aborted) return cb(abortError())
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+    send()
+  }
+
+  /**
+   * Send an info request in `opts.lang`, or the client's default language. If
+   * Last.fm has no biography/wiki (`wikiKey`) in that language, fetch the
+   * English one instead, with a second request. Lookups without an English one
+   * either are remembered for a day and not requested again. Calls
+   * `cb(err, data, locale, warnings)` where `locale` is `{ lang, langFallback }`.
+   */
+  _sendInfoRequest (params, name, wikiKey, opts, cb) {
+    const lang = opts.lang || this._lang
+    if (!lang || lang === 'en') {
+      return this._sendRequest(params, name, opts, (err, data, warnings) => {
+        if (err) return cb(err)
+        cb(null, data, { lang: 'en', langFallback: false }, warnings)
+      })
     }
+
+    const hasText = wiki => !!(wiki && wiki.content && this._parseSummary(wiki.content).trim())
+    this._sendRequest(Object.assign({ lang }, params), name, opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      const untranslated = () => cb(null, data, { lang, langFallback: false }, warnings)
+      if (hasText(data[wikiKey])) return untranslated()
+
+      // Most albums and tracks have no wiki at all: only ask for the English
+      // one once per lookup
+      const key = cacheKey(params)
+      Promise.resolve(this._noEnglishWiki.get(key)).then(noWiki => process.nextTick(() => {
+        if (noWiki) return untranslated()
+        this._sendRequest(params, name, opts, (err, fallback) => {
+          // Better to return the untranslated result than to fail the lookup
+          if (err) return untranslated()
+          if (!hasText(fallback[wikiKey])) {
+            this._noEnglishWiki.set(key, true, NO_WIKI_TTL)
+            return untranslated()
+          }
+          data[wikiKey] = fallback[wikiKey]
+          cb(null, data, { lang: 'en', langFallback: true }, warnings)
+        })
+      }))
+    })
+  }
+
+  /**
+   * Exponential backoff with jitter: half of the delay is fixed, the other half
+   * random, so that many clients failing together don't retry in lockstep.
+   */
+  _backoff (attempt) {
+    const delay = Math.min(this._maxRetryDelay, this._retryDelay * Math.pow(2, attempt))
+    return delay / 2 + Math.random() * delay / 2
   }
 
   /**
    * PARSE COMMON RESPONSE PROPERTIES
    */
 
+  /**
+   * Images as `{ size, url }`, smallest first. Last.fm's placeholder image gets
+   * `placeholder: true`, or is removed, depending on the `placeholderImages`
+   * option.
+   */
   _parseImages (image) {
+    if (!image) return []
     return image
       .sort((a, b) => IMAGE_WEIGHT[a.size] - IMAGE_WEIGHT[b.size])
-      .filter(image => image.size !== '')
-      .map(image => image['#text'])
-      .filter(image => image && image.length > 0)
+      .filter(image => image.size !== '' && image['#text'])
+      .map(image => {
+        const parsed = { size: image.size, url: image['#text'] }
+        if (this._placeholderImages !== 'keep' && image['#text'].includes(PLACEHOLDER_IMAGE_HASH)) {
+          parsed.placeholder = true
+        }
+        return parsed
+      })
+      .filter(image => !(image.placeholder && this._placeholderImages === 'drop'))
   }
 
   _parseMeta (data, query) {
-    if (data['opensearch:totalResults']) {
+    if (data['opensearch:totalResults'] != null) {
       const total = Number(data['opensearch:totalResults'])
       const perPage = Number(data['opensearch:itemsPerPage'])
       const page = (Number(data['opensearch:startIndex']) / perPage) + 1
       const totalPages = Math.ceil(total / perPage)
-      return { query, page, perPage, total, totalPages }
+      return { query: toQuery(query), page, perPage, total, totalPages }
     } else {
       return {
-        query,
+        query: toQuery(query),
         page: Number(data['@attr'].page),
         perPage: Number(data['@attr'].perPage),
         total: Number(data['@attr'].total),
@@ -79,7 +746,34 @@ class LastFM {
   }
 
   _parseSummary (summary) {
-    return summary.replace(/\s+?<a .*?>Read more on Last\.fm<\/a>.*$/, '')
+    return summary.replace(/\s*<a [^>]*>Read more on Last\.fm<\/a>.*$/s, '')
+  }
+
+  /**
+   * Structured biography or wiki. `summary` and `content` are sanitized HTML,
+   * `text` is the plain-text content and `links` every URL it links to.
+   */
+  _parseBio (wiki) {
+    if (!wiki) return undefined
+    const hrefs = []
+    const hrefRegExp = /<a\s[^>]*href="([^"]+)"/gi
+    let match
+    while ((match = hrefRegExp.exec(wiki.content || wiki.summary || '')) !== null) {
+      hrefs.push(match[1])
+    }
+    toArray(wiki.links && wiki.links.link).forEach(link => {
+      if (link.href) hrefs.push(link.href)
+    })
+
+    const content = sanitizeHtml(this._parseSummary(wiki.content || ''))
+    return {
+      summary: sanitizeHtml(this._parseSummary(wiki.summary || '')),
+      content,
+      published: parseWikiDate(wiki.published),
+      // Only web links, never e.g. `javascript:` URLs
+      links: hrefs.filter((href, i) => hrefs.indexOf(href) === i && isHttpUrl(href)),
+      text: htmlToText(content)
+    }
   }
 
   /**
@@ -92,7 +786,11 @@ class LastFM {
         return {
           type: 'artist',
           name: artist.name,
-          listeners: Number(artist.listeners),
+          mbid: artist.mbid || undefined, // optional
+          listeners: artist.listeners && Number(artist.listeners), // optional
+          playcount: artist.playcount && Number(artist.playcount), // optional
+          tagcount: artist.tagcount && Number(artist.tagcount), // optional, library only
+          match: artist.match && Number(artist.match), // optional, similar artists only
           images: this._parseImages(artist.image)
         }
       })
@@ -105,7 +803,9 @@ class LastFM {
         return {
           type: 'album',
           name: album.name,
-          artistName: album.artist.name || album.artist,
+          mbid: album.mbid || undefined, // optional
+          artistName: album.artist.name || album.artist['#text'] || album.artist,
+          artistMbid: album.artist.mbid || undefined, // optional
           listeners: (
             (album.playcount && Number(album.playcount)) ||
             (album.listeners && Number(album.listeners))
@@ -119,6 +819,19 @@ class LastFM {
     return tags.tag.map(t => t.name)
   }
 
+  _parseTagList (tags) {
+    return tags
+      .map(tag => {
+        return {
+          type: 'tag',
+          name: tag.name,
+          count: tag.count && Number(tag.count), // optional, top tags only
+          reach: tag.reach && Number(tag.reach), // optional
+          taggings: tag.taggings && Number(tag.taggings) // optional, charts only
+        }
+      })
+  }
+
   _parseTracks (tracks) {
     return tracks
       .map(track => {
@@ -126,15 +839,77 @@ class LastFM {
         return {
           type: 'track',
           name: track.name,
-          artistName: track.artist.name || track.artist,
+          mbid: track.mbid || undefined, // optional
+          artistName: track.artist.name || track.artist['#text'] || track.artist,
+          artistMbid: track.artist.mbid || undefined, // optional
+          albumName: (track.album && track.album['#text']) || undefined, // optional, user tracks only
+          albumMbid: (track.album && track.album.mbid) || undefined, // optional, user tracks only
           duration: track.duration && Number(track.duration), // optional
           listeners: listeners && Number(listeners), // optional
+          match: track.match && Number(track.match), // optional, similar tracks only
+          date: track.date && new Date(Number(track.date.uts) * 1000), // optional, scrobbled or loved
+          nowPlaying: (track['@attr'] && track['@attr'].nowplaying === 'true') || undefined, // optional
+          loved: track.loved != null ? track.loved === '1' : undefined, // optional, extended only
           images: track.image && this._parseImages(track.image) // optional
         }
       })
       .filter(track => track.listeners == null || track.listeners >= this._minTrackListeners)
   }
 
+  _parseUsers (users) {
+    return users
+      .map(user => {
+        return {
+          type: 'user',
+          name: user.name,
+          realName: user.realname || undefined, // optional
+          country: (user.country && user.country !== 'None') ? user.country : undefined, // optional
+          playcount: user.playcount && Number(user.playcount), // optional
+          subscriber: user.subscriber != null ? Number(user.subscriber) === 1 : undefined, // optional
+          registered: user.registered && new Date(Number(user.registered.unixtime || user.registered['#text']) * 1000), // optional
+          images: this._parseImages(user.image || [])
+        }
+      })
+  }
+
+  /**
+   * Weeks from a weekly chart list. With `from`/`to`, only the weeks that
+   * overlap that date range are returned.
+   */
+  _parseChartWeeks (charts, from, to) {
+    from = from != null ? toUnixTime(from) : -Infinity
+    to = to != null ? toUnixTime(to) : Infinity
+    return charts
+      .filter(chart => Number(chart.from) < to && Number(chart.to) > from)
+      .map(chart => {
+        return {
+          from: new Date(Number(chart.from) * 1000),
+          to: new Date(Number(chart.to) * 1000)
+        }
+      })
+  }
+
+  _parseWeeklyMeta (data, query) {
+    return {
+      query: toQuery(query),
+      from: new Date(Number(data['@attr'].from) * 1000),
+      to: new Date(Number(data['@attr'].to) * 1000)
+    }
+  }
+
+  _parseScrobble (scrobble) {
+    const ignored = scrobble.ignoredMessage || {}
+    return {
+      name: scrobble.track['#text'],
+      artistName: scrobble.artist['#text'],
+      albumName: (scrobble.album && scrobble.album['#text']) || undefined,
+      timestamp: scrobble.timestamp && Number(scrobble.timestamp), // optional, not for now playing
+      accepted: Number(ignored.code || 0) === 0,
+      ignoredCode: Number(ignored.code || 0),
+      ignoredMessage: ignored['#text'] || undefined
+    }
+  }
+
   /**
    * CONVENIENCE API
    */
@@ -143,18 +918,33 @@ class LastFM {
     if (!opts.q) {
       return cb(new Error('Missing required param: q'))
     }
+
+    // Abort all three searches together, whether the caller aborts or one fails
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    if (opts.signal) {
+      if (opts.signal.aborted) controller.abort()
+      else opts.signal.addEventListener('abort', onAbort, { once: true })
+    }
+    const { priority } = opts
+    const signal = controller.signal
+
     parallel({
       artists: cb => {
-        this.artistSearch({ q: opts.q, limit: opts.artistsLimit || opts.limit }, cb)
+        this.artistSearch({ q: opts.q, limit: opts.artistsLimit || opts.limit, priority, signal }, cb)
       },
       tracks: cb => {
-        this.trackSearch({ q: opts.q, limit: opts.tracksLimit || opts.limit }, cb)
+        this.trackSearch({ q: opts.q, limit: opts.tracksLimit || opts.limit, priority, signal }, cb)
       },
       albums: cb => {
-        this.albumSearch({ q: opts.q, limit: opts.albumsLimit || opts.limit }, cb)
+        this.albumSearch({ q: opts.q, limit: opts.albumsLimit || opts.limit, priority, signal }, cb)
       }
     }, (err, r) => {
-      if (err) return cb(err)
+      if (opts.signal) opts.signal.removeEventListener('abort', onAbort)
+      if (err) {
+        controller.abort()
+        return cb(err)
+      }
 
       const page = r.artists.meta.page
       const total = r.artists.meta.total + r.tracks.meta.total + r.albums.meta.total
@@ -162,73 +952,238 @@ class LastFM {
       const totalPages = Math.ceil(total / perPage)
 
       const result = {
-        meta: { query: opts, page, perPage, total, totalPages },
+        meta: { query: toQuery(opts), page, perPage, total, totalPages },
         result: {
           type: 'search',
           q: opts.q,
           artists: r.artists.result,
           tracks: r.tracks.result,
           albums: r.albums.result
-        }
+        },
+        // The three searches usually share the same quirks
+        warnings: Array.from(new Set([].concat(r.artists.warnings, r.tracks.warnings, r.albums.warnings)))
       }
 
-      // Prefer an exact match
-      const exactMatch = []
-        .concat(result.result.artists, result.result.tracks, result.result.albums)
-        .filter(result => result.name.toLowerCase() === opts.q)
-        .sort((a, b) => (b.listeners || 0) - (a.listeners || 0))[0]
+      // Score every result by name similarity and popularity, see utils/relevance.js
+      const items = [].concat(result.result.artists, result.result.tracks, result.result.albums)
+      const ranking = relevance.rank(opts.q, items)
+      items.forEach((item, i) => { item.score = ranking.scores[i] })
 
-      // Otherwise, use most popular result by listener count. Albums don't have listener count.
-      const top = []
-        .concat(result.result.artists, result.result.tracks)
-        .sort((a, b) => b.listeners - a.listeners)[0]
-
-      result.result.top = exactMatch || top || null
+      result.result.top = ranking.top
+      result.result.topReason = ranking.reason
 
       cb(null, result)
     })
   }
 
+  /**
+   * Iterate over every item of a paged method, fetching pages as needed. Stops
+   * after `opts.maxItems` items or `opts.maxPages` pages, if given.
+   *
+   *   for await (const track of lastfm.paginate('artistTopTracks', { name: 'Björk' })) {}
+   */
+  async * paginate (method, opts) {
+    if (!PAGED_METHODS.includes(method)) {
+      throw new Error('Method does not support pagination: ' + method)
+    }
+    opts = Object.assign({}, opts)
+    const maxItems = opts.maxItems || Infinity
+    const maxPages = opts.maxPages || Infinity
+    delete opts.maxItems
+    delete opts.maxPages
+
+    let page = opts.page || 1
+    let pages = 0
+    let items = 0
+    while (pages < maxPages) {
+      const { meta, result } = await this[method](Object.assign({}, opts, { page }))
+      pages += 1
+      for (const item of result) {
+        if (items >= maxItems) return
+        items += 1
+        yield item
+      }
+      if (result.length === 0 || page >= meta.totalPages) return
+      page += 1
+    }
+  }
+
+  /**
+   * Look up many artists (`{ name }`) and tracks (`{ name, artistName }`) at
+   * once, as `artistInfo` and `trackInfo` records. Names are first corrected
+   * with `artistCorrection`/`trackCorrection`, unless `opts.autocorrect` is
+   * false or the item has an `mbid`. Options:
+   * - `fields`: the info fields to keep (default: all)
+   * - `concurrency`: how many items to look up at once (default 5), on top of
+   *   the client's rate limits
+   * - `onProgress`: called after each item with `{ done, total, succeeded,
+   *   failed, entry }`
+   * - `lang`, `priority` and `signal`, as for the other methods
+   *
+   * Calls `cb(err, entries)` (or returns a Promise) with an entry for each item,
+   * in order: `{ item, ok: true, result, corrected }` or `{ item, ok: false,
+   * error }`. Items that fail don't fail the batch, only aborting it does.
+   *
+   *   const entries = await lastfm.enrich([{ name: 'believe', artistName: 'cher' }], { fields: ['listeners', 'tags'] })
+   */
+  enrich (items, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    if (!opts) opts = {}
+    if (typeof cb !== 'function') {
+      return new Promise((resolve, reject) => {
+        this.enrich(items, opts, (err, entries) => {
+          if (err) reject(err)
+          else resolve(entries)
+        })
+      })
+    }
+    if (!Array.isArray(items)) {
+      return cb(new Error('Missing required param: items'))
+    }
+    const { signal } = opts
+    if (signal && signal.aborted) return cb(abortError())
+
+    const concurrency = opts.concurrency || ENRICH_CONCURRENCY
+    const entries = new Array(items.length)
+    let next = 0
+    let running = 0
+    let done = 0
+    let succeeded = 0
+    let finished = false
+
+    const finish = err => {
+      if (finished) return
+      finished = true
+      if (signal) signal.removeEventListener('abort', onAbort)
+      if (err) cb(err)
+      else cb(null, entries)
+    }
+
+    const onAbort = () => finish(abortError())
+
+    const startItems = () => {
+      while (running < concurrency && next < items.length) {
+        if (finished) return
+        const index = next
+        const item = items[index]
+        next += 1
+        running += 1
+        this._enrichItem(item, opts, (err, result, corrected) => {
+          running -= 1
+          if (finished) return
+          const entry = err ? { item, ok: false, error: err } : { item, ok: true, result, corrected }
+          entries[index] = entry
+          done += 1
+          if (!err) succeeded += 1
+          if (opts.onProgress) {
+            opts.onProgress({ done, total: items.length, succeeded, failed: done - succeeded, entry })
+          }
+          // Not synchronously, so that items failing at once don't nest calls
+          process.nextTick(startItems)
+        })
+      }
+      if (done === items.length) finish(null)
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+    startItems()
+  }
+
+  /**
+   * Correct and look up one `enrich()` item. Calls `cb(err, result, corrected)`.
+   */
+  _enrichItem (item, opts, cb) {
+    if (!item || !item.name) {
+      return cb(new Error('Missing required param: name'))
+    }
+    const type = item.type || (item.artistName ? 'track' : 'artist')
+    if (type !== 'artist' && type !== 'track') {
+      return cb(new Error('Invalid param: type must be one of artist, track'))
+    }
+    if (type === 'track' && !item.artistName) {
+      return cb(new Error('Missing required param: artistName'))
+    }
+    const callOpts = { lang: opts.lang, priority: opts.priority, signal: opts.signal }
+
+    const correct = cb => {
+      if (opts.autocorrect === false || item.mbid) return cb(null, item)
+      const correction = type === 'track' ? this.trackCorrection : this.artistCorrection
+      correction.call(this, Object.assign({ name: item.name, artistName: item.artistName }, callOpts), (err, corrected) => {
+        // Last.fm has no correction for this name (error 6), look it up as given
+        if ((err && err.code === 6) || (!err && !corrected.name)) return cb(null, item)
+        cb(err, corrected)
+      })
+    }
+
+    correct((err, names) => {
+      if (err) return cb(err)
+      const info = type === 'track' ? this.trackInfo : this.artistInfo
+      const infoOpts = Object.assign({ mbid: item.mbid, name: names.name, artistName: names.artistName }, callOpts)
+      info.call(this, infoOpts, (err, result) => {
+        if (err) return cb(err)
+        const corrected = names.name !== item.name || names.artistName !== item.artistName
+        cb(null, pickFields(result, opts.fields), corrected)
+      })
+    })
+  }
+
   /**
    * ALBUM API
    */
 
   albumInfo (opts, cb) {
-    if (!opts.name || !opts.artistName) {
-      return cb(new Error('Missing required params: name, artistName'))
+    if (!opts.mbid && (!opts.name || !opts.artistName)) {
+      return cb(new Error('Missing required params: name, artistName (or mbid)'))
     }
     const params = {
       method: 'album.getInfo',
+      mbid: opts.mbid,
       album: opts.name,
       artist: opts.artistName,
       autocorrect: 1
     }
-    this._sendRequest(params, 'album', (err, album) => {
+    this._sendInfoRequest(params, 'album', 'wiki', opts, (err, album, locale, warnings) => {
       if (err) return cb(err)
       cb(null, {
         type: 'album',
         name: album.name,
+        mbid: album.mbid || undefined,
         artistName: album.artist,
         images: this._parseImages(album.image),
         listeners: Number(album.playcount) || Number(album.listeners),
         tracks: this._parseTracks(album.tracks.track),
         tags: this._parseTags(album.tags),
-        summary: album.wiki && this._parseSummary(album.wiki.content)
+        summary: album.wiki && this._parseSummary(album.wiki.content),
+        bio: this._parseBio(album.wiki),
+        lang: locale.lang,
+        langFallback: locale.langFallback,
+        warnings
       })
     })
   }
 
   albumTopTags (opts, cb) {
-    if (!opts.name || !opts.artistName) {
-      return cb(new Error('Missing required params: name, artistName'))
+    if (!opts.mbid && (!opts.name || !opts.artistName)) {
+      return cb(new Error('Missing required params: name, artistName (or mbid)'))
     }
     const params = {
       method: 'album.getTopTags',
+      mbid: opts.mbid,
       album: opts.name,
       artist: opts.artistName,
       autocorrect: 1
     }
-    this._sendRequest(params, 'toptags', cb)
+    this._sendRequest(params, 'toptags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   albumSearch (opts, cb) {
@@ -241,11 +1196,12 @@ class LastFM {
       page: opts.page,
       album: opts.q
     }
-    this._sendRequest(params, 'results', (err, data) => {
+    this._sendRequest(params, 'results', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseAlbums(data.albummatches.album)
+        result: this._parseAlbums(data.albummatches.album),
+        warnings
       })
     })
   }
@@ -262,104 +1218,190 @@ class LastFM {
       method: 'artist.getCorrection',
       artist: opts.name
     }
-    this._sendRequest(params, 'corrections', (err, data) => {
+    this._sendRequest(params, 'corrections', opts, (err, data, warnings) => {
       if (err) return cb(err)
       const correction = data.correction
       cb(null, {
-        name: correction.artist.name
+        name: correction.artist.name,
+        mbid: correction.artist.mbid || undefined,
+        warnings
       })
     })
   }
 
   artistInfo (opts, cb) {
-    if (!opts.name) {
-      return cb(new Error('Missing required param: name'))
+    if (!opts.mbid && !opts.name) {
+      return cb(new Error('Missing required param: name (or mbid)'))
     }
     const params = {
       method: 'artist.getInfo',
+      mbid: opts.mbid,
       artist: opts.name,
       autocorrect: 1
     }
-    this._sendRequest(params, 'artist', (err, artist) => {
+    this._sendInfoRequest(params, 'artist', 'bio', opts, (err, artist, locale, warnings) => {
       if (err) return cb(err)
       const similar = artist.similar.artist.map(similarArtist => {
         return {
           type: 'artist',
           name: similarArtist.name,
+          mbid: similarArtist.mbid || undefined,
           images: this._parseImages(similarArtist.image)
         }
       })
       cb(null, {
         type: 'artist',
         name: artist.name,
+        mbid: artist.mbid || undefined,
         listeners: Number(artist.stats.listeners),
         images: this._parseImages(artist.image),
         tags: this._parseTags(artist.tags),
         summary: this._parseSummary(artist.bio.content),
-        similar
+        bio: this._parseBio(artist.bio),
+        lang: locale.lang,
+        langFallback: locale.langFallback,
+        similar,
+        warnings
       })
     })
   }
 
   artistSimilar (opts, cb) {
-    if (!opts.name) {
-      return cb(new Error('Missing required param: name'))
+    if (!opts.mbid && !opts.name) {
+      return cb(new Error('Missing required param: name (or mbid)'))
     }
     const params = {
       method: 'artist.getSimilar',
+      mbid: opts.mbid,
       artist: opts.name,
       limit: opts.limit,
       autocorrect: 1
     }
-    this._sendRequest(params, 'similarartists', cb)
+    this._sendRequest(params, 'similarartists', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseArtists(data.artist),
+        warnings
+      })
+    })
   }
 
-  artistTopAlbums (opts, cb) {
+  /**
+   * Crawl similar artists breadth-first from `opts.name` (with its `mbid`, if
+   * known), up to `opts.depth` steps away (default 2). Each artist is expanded
+   * with `artistSimilar`, by its mbid if it has one, keeping up to `opts.limit` similar artists (default
+   * 10) with a match score of at least `opts.minMatch` (default 0). No more
+   * artists are added once the graph has `opts.maxNodes` (default 500).
+   *
+   * Calls back with an ArtistGraph (see utils/artist-graph.js). Artists other
+   * than the root that fail to expand are listed in its `errors`.
+   */
+  artistSimilarGraph (opts, cb) {
     if (!opts.name) {
       return cb(new Error('Missing required param: name'))
     }
-    const params = {
-      method: 'artist.getTopAlbums',
+    const maxDepth = opts.depth != null ? opts.depth : 2
+    const limit = opts.limit || 10
+    const minMatch = opts.minMatch || 0
+    const maxNodes = opts.maxNodes || 500
+    const { priority, signal } = opts
+
+    const graph = new ArtistGraph()
+    const root = graph.addNode({ name: opts.name, mbid: opts.mbid }, 0)
+
+    const expand = (nodes, depth) => {
+      if (depth >= maxDepth || nodes.length === 0) return cb(null, graph)
+      const tasks = nodes.map(node => cb => {
+        this.artistSimilar({ name: node.name, mbid: node.mbid, limit, priority, signal }, (err, data) => {
+          cb(null, { node, err, data })
+        })
+      })
+      parallel(tasks, (_, results) => {
+        if (signal && signal.aborted) return cb(abortError())
+        const next = []
+        for (const { node, err, data } of results) {
+          if (err && node === root) return cb(err)
+          if (err) {
+            graph.errors.push({ id: node.id, error: err })
+            continue
+          }
+          data.result
+            .filter(artist => artist.name && (artist.match || 0) >= minMatch)
+            .forEach(artist => {
+              const known = graph.findNode(artist)
+              if (!known && graph.nodes.length >= maxNodes) return
+              const target = graph.addNode(artist, depth + 1)
+              if (!known) next.push(target)
+              graph.addEdge(node, target, artist.match || 0)
+            })
+        }
+        expand(next, depth + 1)
+      })
+    }
+    expand([root], 0)
+  }
+
+  artistTopAlbums (opts, cb) {
+    if (!opts.mbid && !opts.name) {
+      return cb(new Error('Missing required param: name (or mbid)'))
+    }
+    const params = {
+      method: 'artist.getTopAlbums',
+      mbid: opts.mbid,
       artist: opts.name,
       limit: opts.limit,
+      page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'topalbums', (err, data) => {
+    this._sendRequest(params, 'topalbums', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseAlbums(data.album)
+        result: this._parseAlbums(data.album),
+        warnings
       })
     })
   }
 
   artistTopTags (opts, cb) {
-    if (!opts.name) {
-      return cb(new Error('Missing required param: name'))
+    if (!opts.mbid && !opts.name) {
+      return cb(new Error('Missing required param: name (or mbid)'))
     }
     const params = {
       method: 'artist.getTopTags',
+      mbid: opts.mbid,
       artist: opts.name,
       autocorrect: 1
     }
-    this._sendRequest(params, 'toptags', cb)
+    this._sendRequest(params, 'toptags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   artistTopTracks (opts, cb) {
-    if (!opts.name) {
-      return cb(new Error('Missing required param: name'))
+    if (!opts.mbid && !opts.name) {
+      return cb(new Error('Missing required param: name (or mbid)'))
     }
     const params = {
       method: 'artist.getTopTracks',
+      mbid: opts.mbid,
       artist: opts.name,
       limit: opts.limit,
+      page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'toptracks', (err, data) => {
+    this._sendRequest(params, 'toptracks', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseTracks(data.track)
+        result: this._parseTracks(data.track),
+        warnings
       })
     })
   }
@@ -374,15 +1416,60 @@ class LastFM {
       page: opts.page,
       artist: opts.q
     }
-    this._sendRequest(params, 'results', (err, data) => {
+    this._sendRequest(params, 'results', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseArtists(data.artistmatches.artist)
+        result: this._parseArtists(data.artistmatches.artist),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * AUTH API
+   */
+
+  authSession (opts, cb) {
+    if (!opts.token) {
+      return cb(new Error('Missing required param: token'))
+    }
+    const params = {
+      method: 'auth.getSession',
+      token: opts.token
+    }
+    this._sendRequest(params, 'session', opts, (err, session, warnings) => {
+      if (err) return cb(err)
+      this._sessionKey = session.key
+      cb(null, {
+        name: session.name,
+        key: session.key,
+        subscriber: Number(session.subscriber) === 1,
+        warnings
       })
     })
   }
 
+  authToken (opts, cb) {
+    const params = {
+      method: 'auth.getToken'
+    }
+    this._sendRequest(params, 'token', opts, (err, token, warnings) => {
+      if (err) return cb(err)
+      // Without a token, the auth URL would send the user nowhere
+      if (!token) return cb(new Error('Last.fm sent no token (' + warnings.join(', ') + ')'))
+      cb(null, token)
+    })
+  }
+
+  /**
+   * URL where the user approves a token from `authToken()`. Once approved, pass
+   * the token to `authSession()` to get a session key.
+   */
+  authUrl (token) {
+    return 'https://www.last.fm/api/auth/?' + querystring.stringify({ api_key: this._key, token })
+  }
+
   /**
    * CHART API
    */
@@ -394,11 +1481,12 @@ class LastFM {
       page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'artists', (err, data) => {
+    this._sendRequest(params, 'artists', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseArtists(data.artist)
+        result: this._parseArtists(data.artist),
+        warnings
       })
     })
   }
@@ -410,7 +1498,14 @@ class LastFM {
       page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'tags', cb)
+    this._sendRequest(params, 'tags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   chartTopTracks (opts, cb) {
@@ -420,11 +1515,12 @@ class LastFM {
       page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'tracks', (err, data) => {
+    this._sendRequest(params, 'tracks', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseTracks(data.track)
+        result: this._parseTracks(data.track),
+        warnings
       })
     })
   }
@@ -444,7 +1540,14 @@ class LastFM {
       page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'topartists', cb)
+    this._sendRequest(params, 'topartists', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseArtists(data.artist),
+        warnings
+      })
+    })
   }
 
   geoTopTracks (opts, cb) {
@@ -458,7 +1561,69 @@ class LastFM {
       page: opts.page,
       autocorrect: 1
     }
-    this._sendRequest(params, 'tracks', cb)
+    this._sendRequest(params, 'tracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTracks(data.track),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * LIBRARY API
+   */
+
+  libraryArtists (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'library.getArtists',
+      user: opts.user,
+      limit: opts.limit,
+      page: opts.page
+    }
+    this._sendRequest(params, 'artists', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseArtists(toArray(data.artist)),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * Stream every artist in a user's library, page by page, as newline-delimited
+   * JSON (`opts.format` 'ndjson', the default) or CSV ('csv'). Returns a
+   * readable stream of strings.
+   *
+   *   lastfm.libraryExport({ user: 'rj', format: 'csv' }).pipe(fs.createWriteStream('rj.csv'))
+   */
+  libraryExport (opts) {
+    opts = Object.assign({ limit: 1000 }, opts)
+    const format = opts.format || 'ndjson'
+    delete opts.format
+    if (!opts.user) throw new Error('Missing required param: user')
+    if (format !== 'ndjson' && format !== 'csv') {
+      throw new Error('Invalid param: format must be one of ndjson, csv')
+    }
+
+    const artists = this.paginate('libraryArtists', opts)
+    async function * lines () {
+      if (format === 'csv') yield LIBRARY_CSV_COLUMNS.join(',') + '\n'
+      for await (const artist of artists) {
+        if (format === 'csv') {
+          const row = [artist.name, artist.mbid, artist.playcount, artist.tagcount, bestImage(artist.images)]
+          yield row.map(toCSVField).join(',') + '\n'
+        } else {
+          yield JSON.stringify(artist) + '\n'
+        }
+      }
+    }
+    return Readable.from(lines())
   }
 
   /**
@@ -473,7 +1638,20 @@ class LastFM {
       method: 'tag.getInfo',
       tag: opts.tag
     }
-    this._sendRequest(params, 'tag', cb)
+    this._sendInfoRequest(params, 'tag', 'wiki', opts, (err, tag, locale, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        type: 'tag',
+        name: tag.name,
+        reach: Number(tag.reach),
+        taggings: Number(tag.total),
+        summary: tag.wiki && this._parseSummary(tag.wiki.content),
+        bio: this._parseBio(tag.wiki),
+        lang: locale.lang,
+        langFallback: locale.langFallback,
+        warnings
+      })
+    })
   }
 
   tagSimilar (opts, cb) {
@@ -484,7 +1662,14 @@ class LastFM {
       method: 'tag.getSimilar',
       tag: opts.tag
     }
-    this._sendRequest(params, 'similartags', cb)
+    this._sendRequest(params, 'similartags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   tagTopAlbums (opts, cb) {
@@ -497,7 +1682,14 @@ class LastFM {
       page: opts.page,
       tag: opts.tag
     }
-    this._sendRequest(params, 'albums', cb)
+    this._sendRequest(params, 'albums', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseAlbums(data.album),
+        warnings
+      })
+    })
   }
 
   tagTopArtists (opts, cb) {
@@ -510,14 +1702,28 @@ class LastFM {
       page: opts.page,
       tag: opts.tag
     }
-    this._sendRequest(params, 'topartists', cb)
+    this._sendRequest(params, 'topartists', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseArtists(data.artist),
+        warnings
+      })
+    })
   }
 
   tagTopTags (opts, cb) {
     const params = {
       method: 'tag.getTopTags'
     }
-    this._sendRequest(params, 'toptags', cb)
+    this._sendRequest(params, 'toptags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   tagTopTracks (opts, cb) {
@@ -530,7 +1736,36 @@ class LastFM {
       page: opts.page,
       tag: opts.tag
     }
-    this._sendRequest(params, 'tracks', cb)
+    this._sendRequest(params, 'tracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTracks(data.track),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * Weeks for which `tagWeekly*` charts exist, optionally only those that
+   * overlap `from`..`to` (Dates or Unix timestamps)
+   */
+  tagWeeklyChartList (opts, cb) {
+    if (!opts.tag) {
+      return cb(new Error('Missing required param: tag'))
+    }
+    const params = {
+      method: 'tag.getWeeklyChartList',
+      tag: opts.tag
+    }
+    this._sendRequest(params, 'weeklychartlist', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseChartWeeks(toArray(data.chart), opts.from, opts.to),
+        warnings
+      })
+    })
   }
 
   /**
@@ -546,65 +1781,156 @@ class LastFM {
       track: opts.name,
       artist: opts.artistName
     }
-    this._sendRequest(params, 'corrections', (err, data) => {
+    this._sendRequest(params, 'corrections', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         name: data.correction.track.name,
-        artistName: data.correction.track.artist.name
+        mbid: data.correction.track.mbid || undefined,
+        artistName: data.correction.track.artist.name,
+        artistMbid: data.correction.track.artist.mbid || undefined,
+        warnings
       })
     })
   }
 
   trackInfo (opts, cb) {
-    if (!opts.name || !opts.artistName) {
-      return cb(new Error('Missing required params: name, artistName'))
+    if (!opts.mbid && (!opts.name || !opts.artistName)) {
+      return cb(new Error('Missing required params: name, artistName (or mbid)'))
     }
     const params = {
       method: 'track.getInfo',
+      mbid: opts.mbid,
       track: opts.name,
       artist: opts.artistName,
       autocorrect: 1
     }
-    this._sendRequest(params, 'track', (err, track) => {
+    this._sendInfoRequest(params, 'track', 'wiki', opts, (err, track, locale, warnings) => {
       if (err) return cb(err)
       cb(null, {
         type: 'track',
         name: track.name,
+        mbid: track.mbid || undefined,
         artistName: track.artist.name,
+        artistMbid: track.artist.mbid || undefined,
         albumName: track.album && track.album.title,
+        albumMbid: (track.album && track.album.mbid) || undefined,
         listeners: Number(track.listeners),
         duration: Math.ceil(track.duration / 1000),
         images: track.album && this._parseImages(track.album.image),
-        tags: this._parseTags(track.toptags)
+        tags: this._parseTags(track.toptags),
+        summary: track.wiki && this._parseSummary(track.wiki.content),
+        bio: this._parseBio(track.wiki),
+        lang: locale.lang,
+        langFallback: locale.langFallback,
+        warnings
       })
     })
   }
 
-  trackSimilar (opts, cb) {
+  trackLove (opts, cb) {
     if (!opts.name || !opts.artistName) {
       return cb(new Error('Missing required params: name, artistName'))
     }
+    const params = {
+      method: 'track.love',
+      track: opts.name,
+      artist: opts.artistName
+    }
+    this._sendRequest(params, 'lfm', opts, err => cb(err || null))
+  }
+
+  /**
+   * Scrobble `opts.scrobbles`, an array of `{ name, artistName, timestamp }`
+   * objects (plus optional `albumName`, `albumArtistName`, `duration`,
+   * `trackNumber`, `mbid` and `chosenByUser`). `timestamp` is a `Date` or Unix
+   * time. Large arrays are sent in batches of 50, one after the other. If a
+   * batch fails, the error has the result of the batches before it in
+   * `err.result` and the number of scrobbles they held in `err.submitted`, so
+   * only the rest needs to be sent again.
+   */
+  trackScrobble (opts, cb) {
+    const scrobbles = toArray(opts.scrobbles)
+    if (scrobbles.length === 0) {
+      return cb(new Error('Missing required param: scrobbles'))
+    }
+    if (scrobbles.some(s => !s.name || !s.artistName || s.timestamp == null)) {
+      return cb(new Error('Missing required scrobble params: name, artistName, timestamp'))
+    }
+
+    const result = { accepted: 0, ignored: 0, scrobbles: [], warnings: [] }
+    const sendBatch = start => {
+      if (start >= scrobbles.length) return cb(null, result)
+      const params = { method: 'track.scrobble' }
+      scrobbles.slice(start, start + MAX_SCROBBLE_BATCH).forEach((s, i) => {
+        Object.assign(params, {
+          [`track[${i}]`]: s.name,
+          [`artist[${i}]`]: s.artistName,
+          [`timestamp[${i}]`]: toUnixTime(s.timestamp),
+          [`album[${i}]`]: s.albumName,
+          [`albumArtist[${i}]`]: s.albumArtistName,
+          [`duration[${i}]`]: s.duration,
+          [`trackNumber[${i}]`]: s.trackNumber,
+          [`mbid[${i}]`]: s.mbid,
+          [`chosenByUser[${i}]`]: s.chosenByUser == null ? undefined : Number(!!s.chosenByUser)
+        })
+      })
+      this._sendRequest(params, 'scrobbles', opts, (err, data, warnings) => {
+        if (err) {
+          err.submitted = start
+          err.result = result
+          return cb(err)
+        }
+        result.accepted += Number(data['@attr'].accepted)
+        result.ignored += Number(data['@attr'].ignored)
+        toArray(data.scrobble).forEach(s => result.scrobbles.push(this._parseScrobble(s)))
+        result.warnings.push(...warnings)
+        sendBatch(start + MAX_SCROBBLE_BATCH)
+      })
+    }
+    sendBatch(0)
+  }
+
+  trackSimilar (opts, cb) {
+    if (!opts.mbid && (!opts.name || !opts.artistName)) {
+      return cb(new Error('Missing required params: name, artistName (or mbid)'))
+    }
     const params = {
       method: 'track.getSimilar',
+      mbid: opts.mbid,
       track: opts.name,
       artist: opts.artistName,
       limit: opts.limit,
       autocorrect: 1
     }
-    this._sendRequest(params, 'similartracks', cb)
+    this._sendRequest(params, 'similartracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTracks(data.track),
+        warnings
+      })
+    })
   }
 
   trackTopTags (opts, cb) {
-    if (!opts.name || !opts.artistName) {
-      return cb(new Error('Missing required params: name, artistName'))
+    if (!opts.mbid && (!opts.name || !opts.artistName)) {
+      return cb(new Error('Missing required params: name, artistName (or mbid)'))
     }
     const params = {
       method: 'track.getTopTags',
+      mbid: opts.mbid,
       track: opts.name,
       artist: opts.artistName,
       autocorrect: 1
     }
-    this._sendRequest(params, 'toptags', cb)
+    this._sendRequest(params, 'toptags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(data.tag),
+        warnings
+      })
+    })
   }
 
   trackSearch (opts, cb) {
@@ -618,14 +1944,341 @@ class LastFM {
       track: opts.q,
       artist: opts.artist // narrow search by artist (optional)
     }
-    this._sendRequest(params, 'results', (err, data) => {
+    this._sendRequest(params, 'results', opts, (err, data, warnings) => {
       if (err) return cb(err)
       cb(null, {
         meta: this._parseMeta(data, opts),
-        result: this._parseTracks(data.trackmatches.track)
+        result: this._parseTracks(data.trackmatches.track),
+        warnings
       })
     })
   }
+
+  trackUnlove (opts, cb) {
+    if (!opts.name || !opts.artistName) {
+      return cb(new Error('Missing required params: name, artistName'))
+    }
+    const params = {
+      method: 'track.unlove',
+      track: opts.name,
+      artist: opts.artistName
+    }
+    this._sendRequest(params, 'lfm', opts, err => cb(err || null))
+  }
+
+  trackUpdateNowPlaying (opts, cb) {
+    if (!opts.name || !opts.artistName) {
+      return cb(new Error('Missing required params: name, artistName'))
+    }
+    const params = {
+      method: 'track.updateNowPlaying',
+      track: opts.name,
+      artist: opts.artistName,
+      album: opts.albumName,
+      albumArtist: opts.albumArtistName,
+      duration: opts.duration,
+      trackNumber: opts.trackNumber,
+      mbid: opts.mbid
+    }
+    this._sendRequest(params, 'nowplaying', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, Object.assign(this._parseScrobble(data), { warnings }))
+    })
+  }
+
+  /**
+   * USER API
+   */
+
+  userFriends (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getFriends',
+      user: opts.user,
+      limit: opts.limit,
+      page: opts.page
+    }
+    this._sendRequest(params, 'friends', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseUsers(toArray(data.user)),
+        warnings
+      })
+    })
+  }
+
+  userInfo (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getInfo',
+      user: opts.user
+    }
+    this._sendRequest(params, 'user', opts, (err, user, warnings) => {
+      if (err) return cb(err)
+      cb(null, Object.assign(this._parseUsers([user])[0], {
+        artistCount: Number(user.artist_count) || 0,
+        albumCount: Number(user.album_count) || 0,
+        trackCount: Number(user.track_count) || 0,
+        warnings
+      }))
+    })
+  }
+
+  userLovedTracks (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getLovedTracks',
+      user: opts.user,
+      limit: opts.limit,
+      page: opts.page
+    }
+    this._sendRequest(params, 'lovedtracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTracks(toArray(data.track)),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * Artists, albums or tracks (`opts.taggingType`) the user tagged with `opts.tag`
+   */
+  userPersonalTags (opts, cb) {
+    if (!opts.user || !opts.tag || !opts.taggingType) {
+      return cb(new Error('Missing required params: user, tag, taggingType'))
+    }
+    if (!['artist', 'album', 'track'].includes(opts.taggingType)) {
+      return cb(new Error('Invalid param: taggingType must be one of artist, album, track'))
+    }
+    const params = {
+      method: 'user.getPersonalTags',
+      user: opts.user,
+      tag: opts.tag,
+      taggingtype: opts.taggingType,
+      limit: opts.limit,
+      page: opts.page
+    }
+    this._sendRequest(params, 'taggings', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      let result
+      if (opts.taggingType === 'artist') {
+        result = this._parseArtists(toArray(data.artists && data.artists.artist))
+      } else if (opts.taggingType === 'album') {
+        result = this._parseAlbums(toArray(data.albums && data.albums.album))
+      } else {
+        result = this._parseTracks(toArray(data.tracks && data.tracks.track))
+      }
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result,
+        warnings
+      })
+    })
+  }
+
+  /**
+   * Recently scrobbled tracks. `from` and `to` may be Dates or Unix timestamps.
+   * A track that is playing right now is included with `nowPlaying: true`.
+   */
+  userRecentTracks (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getRecentTracks',
+      user: opts.user,
+      limit: opts.limit,
+      page: opts.page,
+      from: toUnixTime(opts.from),
+      to: toUnixTime(opts.to),
+      extended: opts.extended ? 1 : undefined
+    }
+    this._sendRequest(params, 'recenttracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTracks(toArray(data.track)),
+        warnings
+      })
+    })
+  }
+
+  userTopAlbums (opts, cb) {
+    this._sendUserTopRequest('user.getTopAlbums', 'topalbums', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseAlbums(toArray(data.album)),
+        warnings
+      })
+    })
+  }
+
+  userTopArtists (opts, cb) {
+    this._sendUserTopRequest('user.getTopArtists', 'topartists', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseArtists(toArray(data.artist)),
+        warnings
+      })
+    })
+  }
+
+  userTopTags (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getTopTags',
+      user: opts.user,
+      limit: opts.limit
+    }
+    this._sendRequest(params, 'toptags', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseTagList(toArray(data.tag)),
+        warnings
+      })
+    })
+  }
+
+  userTopTracks (opts, cb) {
+    this._sendUserTopRequest('user.getTopTracks', 'toptracks', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseMeta(data, opts),
+        result: this._parseTracks(toArray(data.track)),
+        warnings
+      })
+    })
+  }
+
+  userWeeklyAlbumChart (opts, cb) {
+    this._sendUserWeeklyRequest('user.getWeeklyAlbumChart', 'weeklyalbumchart', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseWeeklyMeta(data, opts),
+        result: this._parseAlbums(toArray(data.album)),
+        warnings
+      })
+    })
+  }
+
+  userWeeklyArtistChart (opts, cb) {
+    this._sendUserWeeklyRequest('user.getWeeklyArtistChart', 'weeklyartistchart', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseWeeklyMeta(data, opts),
+        result: this._parseArtists(toArray(data.artist)),
+        warnings
+      })
+    })
+  }
+
+  /**
+   * Weeks for which `userWeekly*` charts exist, optionally only those that
+   * overlap `from`..`to` (Dates or Unix timestamps)
+   */
+  userWeeklyChartList (opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method: 'user.getWeeklyChartList',
+      user: opts.user
+    }
+    this._sendRequest(params, 'weeklychartlist', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: { query: toQuery(opts) },
+        result: this._parseChartWeeks(toArray(data.chart), opts.from, opts.to),
+        warnings
+      })
+    })
+  }
+
+  userWeeklyTrackChart (opts, cb) {
+    this._sendUserWeeklyRequest('user.getWeeklyTrackChart', 'weeklytrackchart', opts, (err, data, warnings) => {
+      if (err) return cb(err)
+      cb(null, {
+        meta: this._parseWeeklyMeta(data, opts),
+        result: this._parseTracks(toArray(data.track)),
+        warnings
+      })
+    })
+  }
+
+  _sendUserTopRequest (method, name, opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    if (opts.period && !PERIODS.includes(opts.period)) {
+      return cb(new Error('Invalid param: period must be one of ' + PERIODS.join(', ')))
+    }
+    const params = {
+      method,
+      user: opts.user,
+      period: opts.period,
+      limit: opts.limit,
+      page: opts.page
+    }
+    this._sendRequest(params, name, opts, cb)
+  }
+
+  /**
+   * Weekly charts cover the week given by `from` and `to` (Dates or Unix
+   * timestamps, see `userWeeklyChartList`). Without them, the latest week.
+   */
+  _sendUserWeeklyRequest (method, name, opts, cb) {
+    if (!opts.user) {
+      return cb(new Error('Missing required param: user'))
+    }
+    const params = {
+      method,
+      user: opts.user,
+      from: toUnixTime(opts.from),
+      to: toUnixTime(opts.to)
+    }
+    this._sendRequest(params, name, opts, cb)
+  }
 }
 
+/**
+ * Every public method takes `(opts, cb)`. When `cb` is omitted, return a Promise
+ * instead. `opts` may also be omitted for methods with no required params.
+ */
+Object.getOwnPropertyNames(LastFM.prototype)
+  .filter(name => name !== 'constructor' && !name.startsWith('_') && !NON_CALLBACK_METHODS.includes(name))
+  .filter(name => typeof Object.getOwnPropertyDescriptor(LastFM.prototype, name).value === 'function')
+  .forEach(name => {
+    const fn = LastFM.prototype[name]
+    LastFM.prototype[name] = function (opts, cb) {
+      if (typeof opts === 'function') {
+        cb = opts
+        opts = null
+      }
+      if (!opts) opts = {}
+      if (typeof cb === 'function') return fn.call(this, opts, cb)
+      return new Promise((resolve, reject) => {
+        fn.call(this, opts, (err, data) => {
+          if (err) reject(err)
+          else resolve(data)
+        })
+      })
+    }
+  })
+
 module.exports = LastFM
+module.exports.LastFMError = LastFMError
+module.exports.bestImage = bestImage
@@ -2,12 +2,14 @@ const { app, BrowserWindow, ipcMain, dialog, shell, session, powerMonitor } = re
 const path = require('path');
 const crypto = require('crypto');
 const LastFM = require('./index.js');
+const { LastFMError } = LastFM;
 const axios = require('axios');
 const fs = require('fs');
 
 // Import security modules
 const security = require('./utils/security.js');
 const { createAFKGuard } = require('./utils/afk-guard.js');
+const ScrobbleQueue = require('./utils/scrobble-queue.js');
 
 // Load environment variables
 require('dotenv').config()
@@ -15,6 +17,8 @@ require('dotenv').config()
 // API keys from environment variables with fallbacks
 const API_KEY = process.env.LASTFM_API_KEY || 'YOUR_LAST_FM_API_KEY'
 const FREESOUND_API_KEY = process.env.FREESOUND_API_KEY || 'YOUR_FREESOUND_API_KEY'
+// Optional: only needed for authenticated Last.fm features (scrobbling, loved tracks)
+const API_SECRET = process.env.LASTFM_API_SECRET || null
 
 // Enhanced secure logging utility with data protection
 function safeLog(level, message, data = null) {
@@ -148,13 +152,94 @@ function computeNormalization(dataset, fields, mode = 'unit') {
 let lastfm
 try {
   validateApiKey(API_KEY, 'Last.fm')
-  lastfm = new LastFM(API_KEY)
-  safeLog('info', 'Last.fm client initialized successfully')
+  lastfm = new LastFM(API_KEY, {
+    secret: API_SECRET,
+    lang: process.env.LASTFM_LANG,
+    cache: true,
+    placeholderImages: 'drop', // don't show the same grey star for every artist
+    baseUrl: process.env.LASTFM_API_URL,
+    proxy: process.env.HTTPS_PROXY || process.env.https_proxy,
+    keepAlive: true,
+    record: process.env.LASTFM_RECORD_DIR,
+    replay: process.env.LASTFM_REPLAY_DIR
+  })
+  safeLog('info', 'Last.fm client initialized successfully', { authenticated: !!API_SECRET })
+
+  // Log every Last.fm API interaction the same way
+  lastfm.on('response', info => safeLog('info', 'Last.fm API response', info))
+  lastfm.on('cacheHit', info => safeLog('info', 'Last.fm API cache hit', info))
+  lastfm.on('retry', info => {
+    safeLog('warn', 'Last.fm API request retried', { ...info, error: info.error.message, code: info.error.code })
+  })
+  lastfm.on('error', info => {
+    safeLog('error', 'Last.fm API request failed', { ...info, error: info.error.message, code: info.error.code })
+  })
 } catch (error) {
   safeLog('error', 'Failed to initialize Last.fm client', { error: error.message })
   lastfm = null
 }
 
+// The Last.fm session key is kept in the OS keychain. keytar is a native module,
+// so if it fails to load the app still works, but sessions are not remembered.
+const KEYCHAIN_SERVICE = 'last-fm-desktop'
+let keytar = null
+try {
+  keytar = require('keytar')
+} catch (error) {
+  safeLog('warn', 'OS keychain unavailable, Last.fm sessions will not be saved', { error: error.message })
+}
+
+let lastfmUser = null
+let pendingAuthToken = null
+
+async function restoreLastFmSession() {
+  if (!lastfm || !keytar) return
+  try {
+    const [credentials] = await keytar.findCredentials(KEYCHAIN_SERVICE)
+    if (credentials) {
+      lastfm.sessionKey = credentials.password
+      lastfmUser = credentials.account
+      safeLog('info', 'Restored Last.fm session from keychain', { user: lastfmUser })
+    }
+  } catch (error) {
+    safeLog('error', 'Failed to restore Last.fm session', { error: error.message })
+  }
+}
+
+// Scrobbles are queued on disk and replayed when a session and network are available
+let scrobbleQueue = null
+if (lastfm) {
+  try {
+    scrobbleQueue = new ScrobbleQueue({
+      lastfm,
+      path: path.join(app.getPath('userData'), 'scrobble_queue.json')
+    })
+    scrobbleQueue.on('scrobbled', (result) => {
+      safeLog('info', 'Scrobble submitted', {
+        accepted: result.accepted,
+        ignoredCode: result.ignoredCode,
+        ignoredMessage: result.ignoredMessage
+      })
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('lastfm-scrobble-result', result)
+      }
+    })
+    scrobbleQueue.on('failed', (error) => {
+      safeLog('warn', 'Scrobble submission failed, will retry', { error: error.message, code: error.code })
+    })
+    scrobbleQueue.on('dropped', ({ scrobbles, error }) => {
+      safeLog('error', 'Scrobbles rejected by Last.fm', { count: scrobbles.length, error: error.message, code: error.code })
+    })
+    safeLog('info', 'Scrobble queue loaded', { queued: scrobbleQueue.size })
+  } catch (error) {
+    safeLog('error', 'Failed to initialize scrobble queue', { error: error.message })
+  }
+}
+
+restoreLastFmSession().then(() => {
+  if (scrobbleQueue) scrobbleQueue.start()
+})
+
 // Initialize AFK Guard
 let afkGuard
 try {
@@ -579,6 +664,8 @@ app.on('before-quit', () => {
     }
   }
   
+  if (scrobbleQueue) scrobbleQueue.stop()
+  
   // Clear sensitive data from memory
   if (encryptionKey) {
     encryptionKey.fill(0)
@@ -620,8 +707,35 @@ process.on('unhandledRejection', (reason, promise) => {
   safeLog('error', 'Unhandled promise rejection', { reason: reason?.toString(), promise: promise?.toString() })
 })
 
+// Turn a Last.fm client error into a message the user can act on
+function describeLastFMError(err) {
+  if (!(err instanceof LastFMError)) {
+    return err.isRetryable ? 'Network error, please check your connection and try again.' : err.message
+  }
+  switch (err.code) {
+    case 6:
+      return 'No results found.'
+    case 10:
+    case 26:
+      return 'Invalid or suspended Last.fm API key. Please check your API key configuration.'
+    case 29:
+      return 'Rate limit exceeded. Please wait a moment and try again.'
+    case 11:
+    case 16:
+      return 'Last.fm is temporarily unavailable. Please try again later.'
+    default:
+      return err.message
+  }
+}
+
+// In-flight Last.fm search per window (webContents id), so that a new search
+// cancels the previous one instead of racing it
+const activeSearches = new Map()
+
 // IPC handlers for Last.fm API with enhanced security
 ipcMain.handle('search-lastfm', async (event, query) => {
+  const senderId = event.sender.id
+  const controller = new AbortController()
   try {
     if (!lastfm) {
       throw new Error('Last.fm client not initialized. Please check your API key configuration.')
@@ -630,69 +744,222 @@ ipcMain.handle('search-lastfm', async (event, query) => {
     const validatedQuery = validateSearchQuery(query)
     safeLog('info', 'Searching Last.fm', { query: validatedQuery })
     
-    return new Promise((resolve, reject) => {
-      lastfm.search({ q: validatedQuery, limit: 10 }, (err, data) => {
-        if (err) {
-          safeLog('error', 'Last.fm search failed', { error: err.message })
-          reject(new Error(`Last.fm search failed: ${err.message}`))
-        } else {
-          safeLog('info', 'Last.fm search completed', { resultsCount: data?.result ? Object.keys(data.result).length : 0 })
-          
-          // Sanitize API response before processing
-          let sanitizedData
-          try {
-            sanitizedData = { ...data }
-            if (data?.result) {
-              // Sanitize each result type
-              ['artist', 'track', 'album'].forEach(type => {
-                if (data.result[type] && Array.isArray(data.result[type])) {
-                  sanitizedData.result[type] = security.sanitizeSearchResults(data.result[type])
-                }
-              })
-            }
-          } catch (sanitizeError) {
-            safeLog('warn', 'Failed to sanitize Last.fm results, using original data', { error: sanitizeError.message })
-            sanitizedData = data
-          }
-          
-          // Apply normalization to sanitized Last.fm results
-          const normalizedData = { ...sanitizedData }
-          const fieldsToNormalize = ['listeners', 'playcount']
-          
-          if (sanitizedData?.result) {
-            // Normalize artists
-            if (sanitizedData.result.artist && Array.isArray(sanitizedData.result.artist)) {
-              const artistNormalization = computeNormalization(sanitizedData.result.artist, fieldsToNormalize, 'percent')
-              normalizedData.result.artist = artistNormalization.data
-              normalizedData.normalization = normalizedData.normalization || {}
-              normalizedData.normalization.artist = artistNormalization.metadata
-            }
-            
-            // Normalize tracks
-            if (sanitizedData.result.track && Array.isArray(sanitizedData.result.track)) {
-              const trackNormalization = computeNormalization(sanitizedData.result.track, fieldsToNormalize, 'percent')
-              normalizedData.result.track = trackNormalization.data
-              normalizedData.normalization = normalizedData.normalization || {}
-              normalizedData.normalization.track = trackNormalization.metadata
-            }
-            
-            // Normalize albums
-            if (sanitizedData.result.album && Array.isArray(sanitizedData.result.album)) {
-              const albumNormalization = computeNormalization(sanitizedData.result.album, fieldsToNormalize, 'percent')
-              normalizedData.result.album = albumNormalization.data
-              normalizedData.normalization = normalizedData.normalization || {}
-              normalizedData.normalization.album = albumNormalization.metadata
-            }
-          }
-          
-          safeLog('info', 'Last.fm search normalization completed')
-          resolve(normalizedData)
-        }
+    if (activeSearches.has(senderId)) activeSearches.get(senderId).abort()
+    activeSearches.set(senderId, controller)
+
+    let data
+    try {
+      data = await lastfm.search({ q: validatedQuery, limit: 10, signal: controller.signal })
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        safeLog('info', 'Last.fm search superseded by a newer search')
+        return { cancelled: true }
+      }
+      safeLog('error', 'Last.fm search failed', {
+        error: err.message,
+        code: err.code,
+        method: err.method,
+        statusCode: err.statusCode
       })
-    })
+      throw new Error(`Last.fm search failed: ${describeLastFMError(err)}`)
+    }
+    
+    safeLog('info', 'Last.fm search completed', { resultsCount: data?.result ? Object.keys(data.result).length : 0 })
+    
+    // Sanitize API response before processing
+    let sanitizedData
+    try {
+      sanitizedData = { ...data }
+      if (data?.result) {
+        // Sanitize each result type
+        ['artist', 'track', 'album'].forEach(type => {
+          if (data.result[type] && Array.isArray(data.result[type])) {
+            sanitizedData.result[type] = security.sanitizeSearchResults(data.result[type])
+          }
+        })
+      }
+    } catch (sanitizeError) {
+      safeLog('warn', 'Failed to sanitize Last.fm results, using original data', { error: sanitizeError.message })
+      sanitizedData = data
+    }
+    
+    // Apply normalization to sanitized Last.fm results
+    const normalizedData = { ...sanitizedData }
+    const fieldsToNormalize = ['listeners', 'playcount']
+    
+    if (sanitizedData?.result) {
+      // Normalize artists
+      if (sanitizedData.result.artist && Array.isArray(sanitizedData.result.artist)) {
+        const artistNormalization = computeNormalization(sanitizedData.result.artist, fieldsToNormalize, 'percent')
+        normalizedData.result.artist = artistNormalization.data
+        normalizedData.normalization = normalizedData.normalization || {}
+        normalizedData.normalization.artist = artistNormalization.metadata
+      }
+    
+      // Normalize tracks
+      if (sanitizedData.result.track && Array.isArray(sanitizedData.result.track)) {
+        const trackNormalization = computeNormalization(sanitizedData.result.track, fieldsToNormalize, 'percent')
+        normalizedData.result.track = trackNormalization.data
+        normalizedData.normalization = normalizedData.normalization || {}
+        normalizedData.normalization.track = trackNormalization.metadata
+      }
+    
+      // Normalize albums
+      if (sanitizedData.result.album && Array.isArray(sanitizedData.result.album)) {
+        const albumNormalization = computeNormalization(sanitizedData.result.album, fieldsToNormalize, 'percent')
+        normalizedData.result.album = albumNormalization.data
+        normalizedData.normalization = normalizedData.normalization || {}
+        normalizedData.normalization.album = albumNormalization.metadata
+      }
+    }
+    
+    safeLog('info', 'Last.fm search normalization completed')
+    return normalizedData
   } catch (error) {
     safeLog('error', 'Last.fm search error', { error: error.message })
     throw error
+  } finally {
+    if (activeSearches.get(senderId) === controller) activeSearches.delete(senderId)
+  }
+})
+
+// Last.fm desktop authentication: get a token, let the user approve it in the
+// browser, then exchange it for a session key
+ipcMain.handle('lastfm-auth-start', async () => {
+  try {
+    if (!lastfm || !API_SECRET) {
+      throw new Error('Last.fm authentication requires LASTFM_API_KEY and LASTFM_API_SECRET to be configured.')
+    }
+    
+    pendingAuthToken = await lastfm.authToken()
+    const url = lastfm.authUrl(pendingAuthToken)
+    await shell.openExternal(url)
+    
+    safeLog('info', 'Last.fm authorization started')
+    return { success: true }
+  } catch (error) {
+    safeLog('error', 'Failed to start Last.fm authorization', { error: error.message })
+    return { success: false, error: describeLastFMError(error) }
+  }
+})
+
+ipcMain.handle('lastfm-auth-complete', async () => {
+  try {
+    if (!lastfm || !pendingAuthToken) {
+      throw new Error('No Last.fm authorization in progress.')
+    }
+    
+    const session = await lastfm.authSession({ token: pendingAuthToken })
+    pendingAuthToken = null
+    lastfmUser = session.name
+    
+    if (keytar) {
+      // Only one session is kept at a time
+      const existing = await keytar.findCredentials(KEYCHAIN_SERVICE)
+      for (const credentials of existing) {
+        await keytar.deletePassword(KEYCHAIN_SERVICE, credentials.account)
+      }
+      await keytar.setPassword(KEYCHAIN_SERVICE, session.name, session.key)
+    }
+    
+    safeLog('info', 'Last.fm authorization completed', { user: session.name, saved: !!keytar })
+    if (scrobbleQueue) scrobbleQueue.flush().catch(() => {})
+    return { success: true, user: session.name }
+  } catch (error) {
+    safeLog('error', 'Failed to complete Last.fm authorization', { error: error.message, code: error.code })
+    // Error 14: the user has not approved the token yet
+    return { success: false, pending: error.code === 14, error: describeLastFMError(error) }
+  }
+})
+
+ipcMain.handle('lastfm-auth-status', async () => {
+  return {
+    authenticated: !!(lastfm && lastfm.sessionKey),
+    user: lastfmUser
+  }
+})
+
+// Last.fm API diagnostics: per-method counters and latencies, queue, cache
+ipcMain.handle('lastfm-stats', async () => {
+  return lastfm ? lastfm.stats() : null
+})
+
+ipcMain.handle('lastfm-auth-logout', async () => {
+  try {
+    if (keytar && lastfmUser) {
+      await keytar.deletePassword(KEYCHAIN_SERVICE, lastfmUser)
+    }
+    if (lastfm) lastfm.sessionKey = null
+    safeLog('info', 'Signed out of Last.fm', { user: lastfmUser })
+    lastfmUser = null
+    return { success: true }
+  } catch (error) {
+    safeLog('error', 'Failed to sign out of Last.fm', { error: error.message })
+    return { success: false, error: error.message }
+  }
+})
+
+// Scrobble a track the user listened to (queued, so it survives going offline)
+ipcMain.handle('lastfm-scrobble', async (event, track) => {
+  try {
+    if (!scrobbleQueue) {
+      throw new Error('Last.fm client not initialized. Please check your API key configuration.')
+    }
+    
+    const added = scrobbleQueue.add({
+      name: track?.name,
+      artistName: track?.artistName,
+      albumName: track?.albumName,
+      duration: track?.duration,
+      timestamp: track?.timestamp
+    })
+    if (lastfm.sessionKey) scrobbleQueue.flush().catch(() => {})
+    
+    safeLog('info', 'Scrobble queued', { duplicate: !added, queued: scrobbleQueue.size })
+    return { success: true, queued: added, pending: scrobbleQueue.size }
+  } catch (error) {
+    safeLog('error', 'Failed to queue scrobble', { error: error.message })
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('lastfm-now-playing', async (event, track) => {
+  try {
+    if (!lastfm) {
+      throw new Error('Last.fm client not initialized. Please check your API key configuration.')
+    }
+    
+    const result = await lastfm.trackUpdateNowPlaying({
+      name: track?.name,
+      artistName: track?.artistName,
+      albumName: track?.albumName,
+      duration: track?.duration
+    })
+    return { success: true, result }
+  } catch (error) {
+    safeLog('warn', 'Failed to update now playing', { error: error.message, code: error.code })
+    return { success: false, error: describeLastFMError(error) }
+  }
+})
+
+ipcMain.handle('lastfm-love', async (event, track, love) => {
+  try {
+    if (!lastfm) {
+      throw new Error('Last.fm client not initialized. Please check your API key configuration.')
+    }
+    
+    const opts = { name: track?.name, artistName: track?.artistName }
+    if (love === false) {
+      await lastfm.trackUnlove(opts)
+    } else {
+      await lastfm.trackLove(opts)
+    }
+    
+    safeLog('info', love === false ? 'Track unloved' : 'Track loved')
+    return { success: true }
+  } catch (error) {
+    safeLog('error', 'Failed to update loved track', { error: error.message, code: error.code })
+    return { success: false, error: describeLastFMError(error) }
   }
 })
 
@@ -142,6 +142,18 @@ const validators = {
            sample.name.trim().length > 0;
   },
 
+  /**
+   * Validates a track object for scrobbling
+   * @param {Object} track - The track object to validate
+   * @returns {boolean} True if valid, false otherwise
+   */
+  isValidTrack: (track) => {
+    return !!track &&
+           typeof track === 'object' &&
+           validators.isValidQuery(track.name) &&
+           validators.isValidQuery(track.artistName);
+  },
+
   /**
    * Validates a fiddle template object
    * @param {Object} template - The template object to validate
@@ -724,6 +736,98 @@ contextBridge.exposeInMainWorld('api', {
     { rateLimitKey: 'lastfm-search', maxCalls: 30, windowMs: 60000 }
   ),
 
+  /**
+   * Last.fm account authentication (session key is kept in the OS keychain)
+   */
+  lastFmAuth: {
+    /**
+     * Open the Last.fm approval page in the browser
+     * @returns {Promise<Object>} Success status or error
+     */
+    start: createSecureApiWrapper('lastfm-auth-start',
+      null,
+      { rateLimitKey: 'lastfm-auth', maxCalls: 10, windowMs: 60000 }
+    ),
+
+    /**
+     * Finish authentication after the user approved access in the browser
+     * @returns {Promise<Object>} Signed-in user name, or `pending` if not yet approved
+     */
+    complete: createSecureApiWrapper('lastfm-auth-complete',
+      null,
+      { rateLimitKey: 'lastfm-auth', maxCalls: 10, windowMs: 60000 }
+    ),
+
+    /**
+     * Get the current authentication status
+     * @returns {Promise<Object>} Whether a session exists and for which user
+     */
+    status: createSecureApiWrapper('lastfm-auth-status',
+      null,
+      { rateLimitKey: 'lastfm-auth-status', maxCalls: 30, windowMs: 60000 }
+    ),
+
+    /**
+     * Sign out and remove the saved session key
+     * @returns {Promise<Object>} Success status or error
+     */
+    logout: createSecureApiWrapper('lastfm-auth-logout',
+      null,
+      { rateLimitKey: 'lastfm-auth', maxCalls: 10, windowMs: 60000 }
+    )
+  },
+
+  /**
+   * Scrobbling (requires a signed-in Last.fm account)
+   */
+  lastFmScrobble: {
+    /**
+     * Queue a scrobble; it is submitted as soon as Last.fm is reachable
+     * @param {Object} track - Track with name, artistName and optional albumName, duration, timestamp
+     * @returns {Promise<Object>} Whether the scrobble was queued (false for duplicates)
+     */
+    scrobble: createSecureApiWrapper('lastfm-scrobble',
+      (track) => validators.isValidTrack(track),
+      { rateLimitKey: 'lastfm-scrobble', maxCalls: 60, windowMs: 60000 }
+    ),
+
+    /**
+     * Tell Last.fm which track is playing now
+     * @param {Object} track - Track with name, artistName and optional albumName, duration
+     * @returns {Promise<Object>} Now playing result or error
+     */
+    nowPlaying: createSecureApiWrapper('lastfm-now-playing',
+      (track) => validators.isValidTrack(track),
+      { rateLimitKey: 'lastfm-scrobble', maxCalls: 60, windowMs: 60000 }
+    ),
+
+    /**
+     * Love (or with `love` false, unlove) a track
+     * @param {Object} track - Track with name and artistName
+     * @param {boolean} love - False to unlove
+     * @returns {Promise<Object>} Success status or error
+     */
+    love: createSecureApiWrapper('lastfm-love',
+      (track) => validators.isValidTrack(track),
+      { rateLimitKey: 'lastfm-love', maxCalls: 30, windowMs: 60000 }
+    ),
+
+    /**
+     * Listen for per-scrobble results (accepted, or ignored with a reason)
+     * @param {Function} callback - Called with { scrobble, accepted, ignoredCode, ignoredMessage }
+     */
+    onResult: (callback) => {
+      ipcRenderer.on('lastfm-scrobble-result', (event, result) => callback(result));
+    }
+  },
+
+  /**
+   * Last.fm API diagnostics
+   * @returns {Promise<Object>} Per-method request, error, retry and cache hit
+   * counts with latency histograms, plus queue, cache and dedupe stats
+   */
+  lastFmStats: createSecureApiWrapper('lastfm-stats'),
+
   /**
    * Brass Stabs Management Methods
    */
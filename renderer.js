@@ -690,6 +690,9 @@ class BrassStabsApp {
           throw new Error(`Unknown search type: ${searchType}`);
       }
 
+      // A newer search replaced this one while it was in flight
+      if (result.success && result.data?.cancelled) return;
+
       if (result.success) {
         // Sanitize results before caching and display
         const sanitizedData = await this.sanitizeSearchResults(result.data);
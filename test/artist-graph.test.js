@@ -0,0 +1,120 @@
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const { test } = require('node:test')
+const LastFM = require('../index.js')
+const ArtistGraph = require('../utils/artist-graph')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+
+const MADONNA_MBID = '79239441-bfd5-4981-a70c-55c3f15c1287'
+
+// The artist.getSimilar fixture answers Madonna and Kylie Minogue for everyone
+test('artistSimilarGraph', async () => {
+  const lastfm = new LastFM('test-key', { replay: FIXTURES })
+  const requests = []
+  lastfm.on('request', ({ params }) => requests.push(params))
+  const graph = await lastfm.artistSimilarGraph({ name: 'Cher', depth: 2 })
+
+  assert.deepEqual(graph.toJSON(), {
+    root: 'cher',
+    nodes: [
+      { id: 'cher', name: 'Cher', mbid: undefined, depth: 0 },
+      { id: MADONNA_MBID, name: 'Madonna', mbid: MADONNA_MBID, depth: 1 },
+      { id: 'kylie minogue', name: 'Kylie Minogue', mbid: undefined, depth: 1 }
+    ],
+    edges: [
+      { source: 'cher', target: MADONNA_MBID, weight: 1 },
+      { source: 'cher', target: 'kylie minogue', weight: 0.823441 },
+      { source: MADONNA_MBID, target: 'kylie minogue', weight: 0.823441 },
+      { source: 'kylie minogue', target: MADONNA_MBID, weight: 1 }
+    ],
+    errors: []
+  })
+  // Only the root and the first level were expanded
+  assert.equal(lastfm.stats().methods['artist.getSimilar'].requests, 3)
+  // Artists with an mbid are looked up by it
+  assert.deepEqual(requests.map(params => [params.artist, params.mbid]), [
+    ['Cher', undefined],
+    ['Madonna', MADONNA_MBID],
+    ['Kylie Minogue', undefined]
+  ])
+})
+
+test('artistSimilarGraph limits', async () => {
+  const lastfm = new LastFM('test-key', { replay: FIXTURES })
+
+  const strong = await lastfm.artistSimilarGraph({ name: 'Cher', minMatch: 0.9 })
+  assert.deepEqual(strong.nodes.map(node => node.name), ['Cher', 'Madonna'])
+  assert.equal(strong.edges.length, 1)
+
+  const shallow = await lastfm.artistSimilarGraph({ name: 'Cher', depth: 1, maxNodes: 2 })
+  assert.deepEqual(shallow.nodes.map(node => node.name), ['Cher', 'Madonna'])
+
+  const rootOnly = await lastfm.artistSimilarGraph({ name: 'Cher', depth: 0 })
+  assert.equal(rootOnly.nodes.length, 1)
+
+  await assert.rejects(lastfm.artistSimilarGraph({}), /Missing required param: name/)
+})
+
+test('artistSimilarGraph errors', async () => {
+  const lastfm = new LastFM('test-key', { replay: path.join(FIXTURES, 'missing'), retries: 0 })
+  await assert.rejects(lastfm.artistSimilarGraph({ name: 'Cher' }), { code: 'ENOFIXTURE' })
+
+  const controller = new AbortController()
+  const promise = new LastFM('test-key', { replay: FIXTURES }).artistSimilarGraph({ name: 'Cher', signal: controller.signal })
+  controller.abort()
+  await assert.rejects(promise, { name: 'AbortError' })
+})
+
+test('ArtistGraph merges artists by mbid and name', () => {
+  const graph = new ArtistGraph()
+  const a = graph.addNode({ name: 'Simon & Garfunkel' }, 0)
+  const b = graph.addNode({ name: 'The "Band"', mbid: 'b-mbid' }, 1)
+  assert.equal(graph.addNode({ name: 'simon & garfunkel', mbid: 'a-mbid' }, 2), a)
+  assert.equal(a.mbid, 'a-mbid')
+  assert.equal(graph.findNode({ mbid: 'a-mbid' }), a)
+  assert.equal(graph.findNode({ name: 'the "band"' }), b)
+
+  graph.addEdge(a, b, 0.5)
+  graph.addEdge(a, b, 0.5)
+  graph.addEdge(a, a, 1)
+  assert.equal(graph.edges.length, 1)
+
+  assert.equal(graph.toGraphML(), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="id" for="node" attr.name="id" attr.type="string"/>',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="mbid" for="node" attr.name="mbid" attr.type="string"/>',
+    '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <graph id="similar-artists" edgedefault="directed">',
+    '    <node id="n0">',
+    '      <data key="id">simon &amp; garfunkel</data>',
+    '      <data key="name">Simon &amp; Garfunkel</data>',
+    '      <data key="mbid">a-mbid</data>',
+    '      <data key="depth">0</data>',
+    '    </node>',
+    '    <node id="n1">',
+    '      <data key="id">b-mbid</data>',
+    '      <data key="name">The &quot;Band&quot;</data>',
+    '      <data key="mbid">b-mbid</data>',
+    '      <data key="depth">1</data>',
+    '    </node>',
+    '    <edge source="n0" target="n1">',
+    '      <data key="weight">0.5</data>',
+    '    </edge>',
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n'))
+
+  assert.equal(graph.toDOT(), [
+    'digraph "similar-artists" {',
+    '  "simon & garfunkel" [label="Simon & Garfunkel"];',
+    '  "b-mbid" [label="The \\"Band\\""];',
+    '  "simon & garfunkel" -> "b-mbid" [label="0.5", weight=50];',
+    '}',
+    ''
+  ].join('\n'))
+})
@@ -0,0 +1,545 @@
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const { after, before, test } = require('node:test')
+const LastFM = require('../index.js')
+const { createMockServer } = require('../utils/mock-server')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+
+const STAR = 'https://lastfm.freetls.fastly.net/i/u/34s/2a96cbd8b46e442fc41c2b86b821562f.png'
+const CHER_MBID = 'bfcc6d75-a6a5-4bc6-8282-47aec8531818'
+const BELIEVE_MBID = '63b3a8ca-26f2-4e2b-b867-647a6ec2bebd'
+const TRACK_MBID = '32ca187e-ee25-4f18-b7d0-3b6713f24635'
+
+let server
+let lastfm
+
+before(async () => {
+  server = createMockServer({ fixtures: FIXTURES })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  lastfm = new LastFM('test-key', {
+    baseUrl: `http://127.0.0.1:${server.address().port}/2.0/`,
+    secret: 'test-secret',
+    sessionKey: 'test-session',
+    requestsPerSecond: 1000,
+    retries: 0
+  })
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+test('albumInfo', async () => {
+  const album = await lastfm.albumInfo({ name: 'Believe', artistName: 'Cher' })
+  assert.equal(album.type, 'album')
+  assert.equal(album.name, 'Believe')
+  assert.equal(album.mbid, BELIEVE_MBID)
+  assert.equal(album.artistName, 'Cher')
+  assert.equal(album.listeners, 2839412)
+  assert.deepEqual(album.images.map(image => image.size), ['small', 'medium', 'large', 'extralarge'])
+  assert.deepEqual(album.tracks.map(track => [track.name, track.artistName, track.duration]), [
+    ['Believe', 'Cher', 239],
+    ['The Power', 'Cher', 236]
+  ])
+  assert.deepEqual(album.tags, ['pop', 'dance'])
+  assert.equal(album.summary, 'Believe is the twenty-third studio album by American singer-actress <a href="https://www.last.fm/music/Cher">Cher</a>, released on November 10, 1998.')
+  assert.equal(album.bio.text, 'Believe is the twenty-third studio album by American singer-actress Cher, released on November 10, 1998.')
+  assert.deepEqual(album.bio.published, new Date('2008-07-27T15:55:00Z'))
+  assert.deepEqual(album.bio.links, ['https://www.last.fm/music/Cher', 'https://www.last.fm/music/Cher/Believe'])
+  assert.equal(album.lang, 'en')
+  assert.equal(album.langFallback, false)
+  assert.deepEqual(album.warnings, [])
+})
+
+test('albumTopTags', async () => {
+  const { meta, result } = await lastfm.albumTopTags({ name: 'Believe', artistName: 'Cher' })
+  assert.deepEqual(meta, { query: { name: 'Believe', artistName: 'Cher' } })
+  assert.deepEqual(result, [
+    { type: 'tag', name: 'pop', count: 100, reach: undefined, taggings: undefined },
+    { type: 'tag', name: 'dance', count: 56, reach: undefined, taggings: undefined }
+  ])
+})
+
+test('albumSearch', async () => {
+  const { meta, result } = await lastfm.albumSearch({ q: 'believe', limit: 2 })
+  assert.deepEqual(meta, { query: { q: 'believe', limit: 2 }, page: 1, perPage: 2, total: 1234, totalPages: 617 })
+  assert.deepEqual(result.map(album => [album.name, album.artistName, album.mbid]), [
+    ['Believe', 'Cher', BELIEVE_MBID],
+    ['Believe', 'Justin Bieber', undefined]
+  ])
+})
+
+test('artistCorrection', async () => {
+  const correction = await lastfm.artistCorrection({ name: 'guns and roses' })
+  assert.deepEqual(correction, { name: 'Guns N\' Roses', mbid: 'eeb1195b-f213-4ce1-b28c-8565211f8e43', warnings: [] })
+})
+
+test('artistInfo', async () => {
+  const artist = await lastfm.artistInfo({ name: 'Cher' })
+  assert.equal(artist.type, 'artist')
+  assert.equal(artist.name, 'Cher')
+  assert.equal(artist.mbid, CHER_MBID)
+  assert.equal(artist.listeners, 1502346)
+  assert.equal(artist.images.length, 5)
+  assert.deepEqual(artist.images[0], { size: 'small', url: STAR, placeholder: true })
+  assert.deepEqual(artist.tags, ['pop', 'female vocalists'])
+  assert.deepEqual(artist.similar.map(similar => similar.name), ['Madonna', 'Kylie Minogue'])
+  assert.equal(artist.summary, 'Cher (born Cherilyn Sarkisian; May 20, 1946) is an American singer and actress.\n\nShe is often referred to as the &quot;Goddess of Pop&quot;.')
+  assert.equal(artist.bio.text, 'Cher (born Cherilyn Sarkisian; May 20, 1946) is an American singer and actress.\n\nShe is often referred to as the "Goddess of Pop".')
+  assert.deepEqual(artist.bio.published, new Date('2006-03-12T12:20:00Z'))
+  assert.deepEqual(artist.bio.links, ['https://www.last.fm/music/Cher', 'https://last.fm/music/Cher/+wiki'])
+})
+
+test('artistSimilar', async () => {
+  const { result } = await lastfm.artistSimilar({ name: 'Cher', limit: 2 })
+  assert.deepEqual(result.map(artist => [artist.name, artist.mbid, artist.match]), [
+    ['Madonna', '79239441-bfd5-4981-a70c-55c3f15c1287', 1],
+    ['Kylie Minogue', undefined, 0.823441]
+  ])
+})
+
+test('artistTopAlbums', async () => {
+  const { meta, result } = await lastfm.artistTopAlbums({ name: 'Cher', limit: 2 })
+  assert.deepEqual(meta, { query: { name: 'Cher', limit: 2 }, page: 1, perPage: 2, total: 6899, totalPages: 3450 })
+  assert.deepEqual(result[0], {
+    type: 'album',
+    name: 'Believe',
+    mbid: BELIEVE_MBID,
+    artistName: 'Cher',
+    artistMbid: CHER_MBID,
+    listeners: 2839412,
+    images: result[0].images
+  })
+  assert.equal(result[1].mbid, undefined)
+})
+
+test('artistTopTags', async () => {
+  const { result } = await lastfm.artistTopTags({ name: 'Cher' })
+  assert.deepEqual(result.map(tag => [tag.name, tag.count]), [['pop', 100], ['female vocalists', 61]])
+})
+
+test('artistTopTracks', async () => {
+  const { meta, result } = await lastfm.artistTopTracks({ name: 'Cher', limit: 1 })
+  assert.equal(meta.total, 5120)
+  assert.equal(result.length, 1)
+  assert.equal(result[0].name, 'Believe')
+  assert.equal(result[0].mbid, TRACK_MBID)
+  assert.equal(result[0].artistName, 'Cher')
+  assert.equal(result[0].artistMbid, CHER_MBID)
+  assert.equal(result[0].listeners, 3474287)
+})
+
+test('artistSearch', async () => {
+  const { meta, result } = await lastfm.artistSearch({ q: 'cher', limit: 2 })
+  assert.equal(meta.total, 1573)
+  assert.deepEqual(result.map(artist => [artist.name, artist.listeners]), [['Cher', 1502346], ['Cher Lloyd', 456789]])
+})
+
+test('search', async () => {
+  const { meta, result, warnings } = await lastfm.search({ q: 'cher', limit: 2 })
+  assert.equal(meta.perPage, 6)
+  assert.equal(meta.total, 1573 + 51234 + 1234)
+  assert.equal(result.type, 'search')
+  assert.equal(result.artists.length, 2)
+  assert.equal(result.tracks.length, 2)
+  assert.equal(result.albums.length, 2)
+  assert.equal(result.top.name, 'Cher')
+  assert.equal(result.topReason.match, 'exact')
+  assert.ok(result.artists.every(artist => artist.score >= 0 && artist.score <= 1))
+  assert.deepEqual(warnings, [])
+})
+
+test('authToken, authUrl and authSession', async () => {
+  const token = await lastfm.authToken()
+  assert.equal(token, 'REDACTED')
+  assert.equal(lastfm.authUrl(token), 'https://www.last.fm/api/auth/?api_key=test-key&token=REDACTED')
+
+  const session = await lastfm.authSession({ token })
+  assert.deepEqual(session, { name: 'rj', key: 'REDACTED', subscriber: false, warnings: [] })
+  assert.equal(lastfm.sessionKey, 'REDACTED')
+  lastfm.sessionKey = 'test-session'
+})
+
+test('chartTopArtists', async () => {
+  const { meta, result } = await lastfm.chartTopArtists({ limit: 1 })
+  assert.equal(meta.totalPages, 5000000)
+  assert.deepEqual(result.map(artist => [artist.name, artist.listeners, artist.playcount]), [
+    ['The Weeknd', 5397563, 1178262391]
+  ])
+})
+
+test('chartTopTags', async () => {
+  const { result } = await lastfm.chartTopTags({ limit: 1 })
+  assert.deepEqual(result, [{ type: 'tag', name: 'rock', count: undefined, reach: 398483, taggings: 4050337 }])
+})
+
+test('chartTopTracks', async () => {
+  const { result } = await lastfm.chartTopTracks({ limit: 1 })
+  assert.equal(result[0].name, 'Blinding Lights')
+  assert.equal(result[0].artistName, 'The Weeknd')
+  assert.equal(result[0].duration, 200)
+  assert.equal(result[0].listeners, 34017522)
+})
+
+test('geoTopArtists', async () => {
+  const { result } = await lastfm.geoTopArtists({ country: 'Spain', limit: 1 })
+  assert.deepEqual(result.map(artist => [artist.name, artist.listeners]), [['Rosalía', 412345]])
+})
+
+test('geoTopTracks', async () => {
+  const { result } = await lastfm.geoTopTracks({ country: 'Spain', limit: 1 })
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.listeners]), [['Despechá', 'Rosalía', 198765]])
+})
+
+test('libraryArtists', async () => {
+  const { meta, result } = await lastfm.libraryArtists({ user: 'rj' })
+  assert.equal(meta.total, 1)
+  assert.deepEqual(result.map(artist => [artist.name, artist.playcount, artist.tagcount]), [['The Beatles', 2000, 3]])
+})
+
+test('libraryExport', async () => {
+  const stream = lastfm.libraryExport({ user: 'rj', format: 'csv' })
+  let csv = ''
+  for await (const chunk of stream) csv += chunk
+  assert.equal(csv, 'name,mbid,playcount,tagcount,image\nThe Beatles,b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d,2000,3,\n')
+})
+
+test('paginate', async () => {
+  const names = []
+  for await (const artist of lastfm.paginate('artistTopAlbums', { name: 'Cher', limit: 2, maxPages: 2 })) {
+    names.push(artist.name)
+  }
+  // The fixture answers every page with the same albums
+  assert.deepEqual(names, ['Believe', 'The Very Best of Cher', 'Believe', 'The Very Best of Cher'])
+})
+
+test('tagInfo', async () => {
+  const tag = await lastfm.tagInfo({ tag: 'disco' })
+  assert.equal(tag.type, 'tag')
+  assert.equal(tag.name, 'disco')
+  assert.equal(tag.reach, 34583)
+  assert.equal(tag.taggings, 156872)
+  assert.equal(tag.summary, 'Disco is a genre of dance music that was popular in the 1970s.')
+  assert.equal(tag.bio.published, undefined)
+})
+
+test('tagSimilar', async () => {
+  const { result } = await lastfm.tagSimilar({ tag: 'disco' })
+  assert.deepEqual(result.map(tag => tag.name), ['funk'])
+})
+
+test('tagTopAlbums', async () => {
+  const { result } = await lastfm.tagTopAlbums({ tag: 'disco', limit: 1 })
+  assert.deepEqual(result.map(album => [album.name, album.artistName]), [['Believe', 'Cher']])
+})
+
+test('tagTopArtists', async () => {
+  const { meta, result } = await lastfm.tagTopArtists({ tag: 'disco', limit: 1 })
+  assert.equal(meta.total, 5432)
+  assert.deepEqual(result.map(artist => artist.name), ['Donna Summer'])
+})
+
+test('tagTopTags', async () => {
+  const { result } = await lastfm.tagTopTags()
+  assert.deepEqual(result.map(tag => [tag.name, tag.count, tag.reach]), [
+    ['rock', 4050337, 398483],
+    ['electronic', 2431651, 260093]
+  ])
+})
+
+test('tagTopTracks', async () => {
+  const { result } = await lastfm.tagTopTracks({ tag: 'disco', limit: 1 })
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.duration]), [['I Feel Love', 'Donna Summer', 355]])
+})
+
+test('tagWeeklyChartList', async () => {
+  const { result } = await lastfm.tagWeeklyChartList({ tag: 'disco' })
+  assert.deepEqual(result, [
+    { from: new Date('2023-11-05T00:00:00Z'), to: new Date('2023-11-12T00:00:00Z') },
+    { from: new Date('2023-11-12T00:00:00Z'), to: new Date('2023-11-19T00:00:00Z') }
+  ])
+
+  const { result: filtered } = await lastfm.tagWeeklyChartList({ tag: 'disco', from: new Date('2023-11-13') })
+  assert.equal(filtered.length, 1)
+})
+
+test('trackCorrection', async () => {
+  const correction = await lastfm.trackCorrection({ name: 'mrs robinson', artistName: 'simon and garfunkel' })
+  assert.deepEqual(correction, {
+    name: 'Mrs. Robinson',
+    mbid: 'e5a3c6b6-bd4e-4ef4-8b8a-bdb1b5a3b0e0',
+    artistName: 'Simon & Garfunkel',
+    artistMbid: '5d02f264-e225-41ff-83f7-d9b1f0b1874a',
+    warnings: []
+  })
+})
+
+test('trackInfo', async () => {
+  const track = await lastfm.trackInfo({ name: 'Believe', artistName: 'Cher' })
+  assert.equal(track.type, 'track')
+  assert.equal(track.name, 'Believe')
+  assert.equal(track.mbid, TRACK_MBID)
+  assert.equal(track.artistName, 'Cher')
+  assert.equal(track.artistMbid, CHER_MBID)
+  assert.equal(track.albumName, 'Believe')
+  assert.equal(track.albumMbid, BELIEVE_MBID)
+  assert.equal(track.listeners, 599016)
+  assert.equal(track.duration, 239)
+  assert.equal(track.images.length, 4)
+  assert.deepEqual(track.tags, ['pop', 'dance'])
+  assert.equal(track.summary, '"Believe" is a song recorded by Cher for her album of the same name.')
+  assert.deepEqual(track.bio.published, new Date('2008-07-27T15:44:00Z'))
+})
+
+test('trackLove and trackUnlove', async () => {
+  assert.equal(await lastfm.trackLove({ name: 'Believe', artistName: 'Cher' }), undefined)
+  assert.equal(await lastfm.trackUnlove({ name: 'Believe', artistName: 'Cher' }), undefined)
+})
+
+test('trackScrobble', async () => {
+  const result = await lastfm.trackScrobble({
+    scrobbles: [
+      { name: 'Believe', artistName: 'Cher', timestamp: 1700000000 },
+      { name: 'Strong Enough', artistName: 'Cher', timestamp: new Date(1700000300 * 1000) }
+    ]
+  })
+  assert.deepEqual(result, {
+    accepted: 1,
+    ignored: 1,
+    scrobbles: [
+      { name: 'Believe', artistName: 'Cher', albumName: 'Believe', timestamp: 1700000000, accepted: true, ignoredCode: 0, ignoredMessage: undefined },
+      { name: 'Strong Enough', artistName: 'Cher', albumName: undefined, timestamp: 1700000300, accepted: false, ignoredCode: 3, ignoredMessage: 'Timestamp too old' }
+    ],
+    warnings: []
+  })
+})
+
+test('trackSimilar', async () => {
+  const { result } = await lastfm.trackSimilar({ name: 'Believe', artistName: 'Cher', limit: 1 })
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.match, track.duration]), [['Strong Enough', 'Cher', 1, 223]])
+})
+
+test('trackTopTags', async () => {
+  const { result } = await lastfm.trackTopTags({ name: 'Believe', artistName: 'Cher' })
+  assert.deepEqual(result.map(tag => [tag.name, tag.count]), [['pop', 100]])
+})
+
+test('trackSearch', async () => {
+  const { meta, result } = await lastfm.trackSearch({ q: 'believe', limit: 2 })
+  assert.equal(meta.total, 51234)
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.listeners, track.mbid]), [
+    ['Believe', 'Cher', 599016, TRACK_MBID],
+    ['Believer', 'Imagine Dragons', 1501234, undefined]
+  ])
+})
+
+test('trackUpdateNowPlaying', async () => {
+  const result = await lastfm.trackUpdateNowPlaying({ name: 'Believe', artistName: 'Cher' })
+  assert.deepEqual(result, {
+    name: 'Believe',
+    artistName: 'Cher',
+    albumName: undefined,
+    timestamp: undefined,
+    accepted: true,
+    ignoredCode: 0,
+    ignoredMessage: undefined,
+    warnings: []
+  })
+})
+
+test('userFriends', async () => {
+  const { result } = await lastfm.userFriends({ user: 'rj' })
+  assert.deepEqual(result[0], {
+    type: 'user',
+    name: 'eartle',
+    realName: 'Michael Coffey',
+    country: 'United Kingdom',
+    playcount: 82467,
+    subscriber: true,
+    registered: new Date(1160152066 * 1000),
+    images: result[0].images
+  })
+  assert.equal(result[1].realName, undefined)
+  assert.equal(result[1].country, undefined)
+  assert.deepEqual(result[1].images, [])
+})
+
+test('userInfo', async () => {
+  const user = await lastfm.userInfo({ user: 'rj' })
+  assert.equal(user.name, 'RJ')
+  assert.equal(user.playcount, 150316)
+  assert.equal(user.subscriber, true)
+  assert.deepEqual(user.registered, new Date(1037793040 * 1000))
+  assert.equal(user.artistCount, 15001)
+  assert.equal(user.albumCount, 25012)
+  assert.equal(user.trackCount, 70004)
+})
+
+test('userLovedTracks', async () => {
+  const { result } = await lastfm.userLovedTracks({ user: 'rj' })
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.date]), [
+    ['Believe', 'Cher', new Date(1700000000 * 1000)]
+  ])
+})
+
+test('userPersonalTags', async () => {
+  const { meta, result } = await lastfm.userPersonalTags({ user: 'rj', tag: 'disco', taggingType: 'artist' })
+  assert.equal(meta.total, 1)
+  assert.deepEqual(result.map(artist => [artist.type, artist.name]), [['artist', 'Cher']])
+})
+
+test('userRecentTracks', async () => {
+  const { meta, result } = await lastfm.userRecentTracks({ user: 'rj' })
+  assert.equal(meta.total, 84012)
+  assert.equal(result[0].nowPlaying, true)
+  assert.equal(result[0].date, undefined)
+  assert.equal(result[0].albumName, 'Believe')
+  assert.equal(result[0].albumMbid, BELIEVE_MBID)
+  assert.equal(result[1].nowPlaying, undefined)
+  assert.deepEqual(result[1].date, new Date(1700000000 * 1000))
+  assert.equal(result[1].artistName, 'Cher')
+  assert.equal(result[1].artistMbid, CHER_MBID)
+})
+
+test('userTopAlbums', async () => {
+  const { result } = await lastfm.userTopAlbums({ user: 'rj', period: '7day' })
+  assert.deepEqual(result.map(album => [album.name, album.listeners]), [['Believe', 1234]])
+})
+
+test('userTopArtists', async () => {
+  const { result } = await lastfm.userTopArtists({ user: 'rj', period: '7day' })
+  assert.deepEqual(result.map(artist => [artist.name, artist.playcount]), [['Cher', 4567]])
+})
+
+test('userTopTags', async () => {
+  const { result } = await lastfm.userTopTags({ user: 'rj' })
+  assert.deepEqual(result.map(tag => [tag.name, tag.count]), [['disco', 12]])
+})
+
+test('userTopTracks', async () => {
+  const { result } = await lastfm.userTopTracks({ user: 'rj', period: '7day' })
+  assert.deepEqual(result.map(track => [track.name, track.listeners, track.duration]), [['Believe', 321, 239]])
+})
+
+test('userWeeklyAlbumChart', async () => {
+  const { meta, result } = await lastfm.userWeeklyAlbumChart({ user: 'rj' })
+  assert.deepEqual(meta, { query: { user: 'rj' }, from: new Date(1699747200 * 1000), to: new Date(1700352000 * 1000) })
+  assert.deepEqual(result.map(album => [album.name, album.artistName, album.listeners]), [['Believe', 'Cher', 12]])
+})
+
+test('userWeeklyArtistChart', async () => {
+  const { result } = await lastfm.userWeeklyArtistChart({ user: 'rj' })
+  assert.deepEqual(result.map(artist => [artist.name, artist.playcount]), [['Cher', 34]])
+})
+
+test('userWeeklyChartList', async () => {
+  const { result } = await lastfm.userWeeklyChartList({ user: 'rj' })
+  assert.equal(result.length, 2)
+})
+
+test('userWeeklyTrackChart', async () => {
+  const { result } = await lastfm.userWeeklyTrackChart({ user: 'rj' })
+  assert.deepEqual(result.map(track => [track.name, track.artistName, track.listeners]), [['Believe', 'Cher', 5]])
+})
+
+test('missing required params', async () => {
+  await assert.rejects(lastfm.artistInfo({}), /Missing required param: name/)
+  await assert.rejects(lastfm.userTopTracks({ user: 'rj', period: 'forever' }), /Invalid param: period/)
+})
+
+test('invalid baseUrl', () => {
+  assert.throws(() => new LastFM('test-key', { baseUrl: 'localhost:3456/2.0/' }), /Invalid option: baseUrl/)
+  assert.throws(() => new LastFM('test-key', { baseUrl: 'ftp://example.com/2.0/' }), /Invalid option: baseUrl/)
+})
+
+test('transport that throws', async () => {
+  const throwing = new LastFM('test-key', {
+    transport: () => { throw new Error('Protocol not supported') },
+    maxConcurrent: 2,
+    retries: 0
+  })
+  const calls = ['rock', 'pop', 'jazz'].map(tag => throwing.tagSimilar({ tag }))
+  for (const call of calls) await assert.rejects(call, /Protocol not supported/)
+  assert.equal(throwing.queueStats.running, 0)
+  assert.equal(throwing.queueStats.queued, 0)
+})
+
+test('cacheTtl of 0 turns caching off', async () => {
+  const cached = new LastFM('test-key', {
+    replay: FIXTURES,
+    cache: true,
+    cacheTtl: { 'artist.getInfo': 0 }
+  })
+  await cached.artistInfo({ name: 'Cher' })
+  await cached.artistInfo({ name: 'Cher' })
+  await cached.artistTopTags({ name: 'Cher' })
+  await cached.artistTopTags({ name: 'Cher' })
+  const methods = cached.stats().methods
+  assert.equal(methods['artist.getInfo'].requests, 2)
+  assert.equal(methods['artist.getTopTags'].requests, 1)
+  assert.equal(cached.cacheStats.hits, 1)
+})
+
+test('recent tracks are not cached', async () => {
+  const cached = new LastFM('test-key', { replay: FIXTURES, cache: true })
+  await cached.userRecentTracks({ user: 'rj' })
+  await cached.userRecentTracks({ user: 'rj' })
+  assert.equal(cached.stats().methods['user.getRecentTracks'].requests, 2)
+  assert.equal(cached.cacheStats.hits, 0)
+})
+
+test('bio links are web URLs only', async () => {
+  const content = '<a href="javascript:alert(1)">Cher</a> <a href="data:text/html,hi">Believe</a> ' +
+    '<a href="https://www.last.fm/music/Cher">Cher</a> <a href="/music/Cher">Cher</a>'
+  const withLinks = new LastFM('test-key', {
+    transport: (req, cb) => cb(null, { statusCode: 200 }, {
+      artist: { name: 'Cher', bio: { summary: content, content, published: '12 Mar 2006, 12:20' } }
+    })
+  })
+  const artist = await withLinks.artistInfo({ name: 'Cher' })
+  assert.deepEqual(artist.bio.links, ['https://www.last.fm/music/Cher'])
+})
+
+test('English wiki fallback', async () => {
+  const requests = []
+  const localized = new LastFM('test-key', {
+    lang: 'de',
+    transport: (req, cb) => {
+      const url = new URL(req.url)
+      requests.push([url.searchParams.get('album'), url.searchParams.get('lang')])
+      const album = { name: url.searchParams.get('album'), artist: 'Cher' }
+      if (album.name === 'Believe' && !url.searchParams.get('lang')) {
+        album.wiki = { summary: 'English summary', content: 'English content', published: '27 Jul 2008, 15:55' }
+      }
+      cb(null, { statusCode: 200 }, { album })
+    }
+  })
+
+  const believe = await localized.albumInfo({ name: 'Believe', artistName: 'Cher' })
+  assert.equal(believe.lang, 'en')
+  assert.equal(believe.langFallback, true)
+  assert.equal(believe.bio.text, 'English content')
+
+  // No wiki in any language: the English lookup is only sent once
+  const closer = await localized.albumInfo({ name: 'Closer to the Truth', artistName: 'Cher' })
+  assert.equal(closer.lang, 'de')
+  assert.equal(closer.langFallback, false)
+  await localized.albumInfo({ name: 'Closer to the Truth', artistName: 'Cher' })
+  assert.deepEqual(requests, [
+    ['Believe', 'de'],
+    ['Believe', null],
+    ['Closer to the Truth', 'de'],
+    ['Closer to the Truth', null],
+    ['Closer to the Truth', 'de']
+  ])
+})
+
+test('bio text decodes character references', async () => {
+  const content = 'It&#x27;s &#39;Believe&#39; &#128512; &#X1F3B5; &amp; more'
+  const withEntities = new LastFM('test-key', {
+    transport: (req, cb) => cb(null, { statusCode: 200 }, {
+      artist: { name: 'Cher', bio: { summary: content, content, published: '12 Mar 2006, 12:20' } }
+    })
+  })
+  const artist = await withEntities.artistInfo({ name: 'Cher' })
+  assert.equal(artist.bio.text, 'It\'s \'Believe\' \u{1F600} \u{1F3B5} & more')
+})
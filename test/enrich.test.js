@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { after, before, test } = require('node:test')
+const LastFM = require('../index.js')
+const { saveFixture } = require('../utils/fixtures')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+
+let tmp
+
+function fixtureBody (method) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, method + '.json'), 'utf8')).body
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'last-fm-enrich-'))
+  await saveFixture(tmp, { method: 'artist.getCorrection', artist: 'guns and roses' }, 200, fixtureBody('artist.getCorrection'))
+  await saveFixture(tmp, { method: 'artist.getCorrection', artist: 'Cher' }, 200, {
+    corrections: { correction: { artist: { name: 'Cher', mbid: 'bfcc6d75-a6a5-4bc6-8282-47aec8531818' } } }
+  })
+  await saveFixture(tmp, { method: 'artist.getInfo', artist: 'Guns N\' Roses', autocorrect: 1 }, 200, fixtureBody('artist.getInfo'))
+  await saveFixture(tmp, { method: 'artist.getInfo', artist: 'Cher', autocorrect: 1 }, 200, fixtureBody('artist.getInfo'))
+  // Last.fm sends an empty correction for names it doesn't know
+  await saveFixture(tmp, { method: 'track.getCorrection', artist: 'cher', track: 'believe' }, 200, { corrections: '\n' })
+  await saveFixture(tmp, { method: 'track.getInfo', artist: 'cher', track: 'believe', autocorrect: 1 }, 200, fixtureBody('track.getInfo'))
+  await saveFixture(tmp, { method: 'artist.getCorrection', artist: 'nobody' }, 200, { error: 6, message: 'The artist you supplied could not be found' })
+})
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }))
+
+test('enrich', async () => {
+  const lastfm = new LastFM('test-key', { replay: tmp, retries: 0, requestsPerSecond: 1000 })
+  const items = [
+    { name: 'guns and roses' },
+    { name: 'Cher' },
+    { name: 'believe', artistName: 'cher' },
+    { name: 'nobody' },
+    { name: 'Believe', type: 'album' }
+  ]
+  const progress = []
+  const entries = await lastfm.enrich(items, {
+    fields: ['listeners'],
+    concurrency: 2,
+    onProgress: info => progress.push(info)
+  })
+
+  assert.equal(entries.length, 5)
+  entries.forEach((entry, i) => assert.equal(entry.item, items[i]))
+
+  assert.equal(entries[0].ok, true)
+  assert.equal(entries[0].corrected, true)
+  assert.deepEqual(Object.keys(entries[0].result).sort(), ['listeners', 'mbid', 'name', 'type', 'warnings'])
+
+  assert.equal(entries[1].ok, true)
+  assert.equal(entries[1].corrected, false)
+  assert.equal(entries[1].result.listeners, 1502346)
+
+  assert.equal(entries[2].ok, true)
+  assert.equal(entries[2].corrected, false)
+  assert.deepEqual(entries[2].result, {
+    type: 'track',
+    name: 'Believe',
+    mbid: '32ca187e-ee25-4f18-b7d0-3b6713f24635',
+    artistName: 'Cher',
+    listeners: 599016,
+    warnings: []
+  })
+
+  // No correction, and no info fixture for the name as given
+  assert.equal(entries[3].ok, false)
+  assert.equal(entries[3].error.code, 'ENOFIXTURE')
+  assert.match(entries[3].error.message, /artist\.getInfo/)
+
+  assert.equal(entries[4].ok, false)
+  assert.match(entries[4].error.message, /Invalid param: type/)
+
+  assert.deepEqual(progress.map(info => info.done), [1, 2, 3, 4, 5])
+  assert.equal(progress[4].total, 5)
+  assert.equal(progress[4].succeeded, 3)
+  assert.equal(progress[4].failed, 2)
+})
+
+test('enrich with all fields, without autocorrection', (t, done) => {
+  const lastfm = new LastFM('test-key', { replay: tmp, retries: 0 })
+  lastfm.enrich([{ name: 'Cher' }], { autocorrect: false }, (err, entries) => {
+    assert.ifError(err)
+    assert.equal(entries[0].result.bio.published.getUTCFullYear(), 2006)
+    assert.equal(lastfm.stats().methods['artist.getCorrection'], undefined)
+    done()
+  })
+})
+
+test('enrich aborts', async () => {
+  const lastfm = new LastFM('test-key', { replay: tmp, retries: 0 })
+  const controller = new AbortController()
+  const promise = lastfm.enrich([{ name: 'Cher' }, { name: 'cher' }], { signal: controller.signal })
+  controller.abort()
+  await assert.rejects(promise, { name: 'AbortError' })
+  assert.deepEqual(await lastfm.enrich([]), [])
+  await assert.rejects(lastfm.enrich(), /Missing required param: items/)
+})
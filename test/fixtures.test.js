@@ -0,0 +1,123 @@
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const http = require('node:http')
+const os = require('node:os')
+const path = require('node:path')
+const { after, before, test } = require('node:test')
+const LastFM = require('../index.js')
+const { saveFixture } = require('../utils/fixtures')
+const { createMockServer } = require('../utils/mock-server')
+
+const SECRETS = ['secret-api-key', 'secret-api-secret', 'secret-token', 'secret-session-key']
+
+let tmp
+let upstreamDir
+let server
+let baseUrl
+
+function get (url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { body += chunk })
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }))
+    }).on('error', reject)
+  })
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'last-fm-fixtures-'))
+
+  // Stands in for the real API: a session key, and different corrections by artist
+  upstreamDir = path.join(tmp, 'upstream')
+  fs.mkdirSync(upstreamDir)
+  fs.writeFileSync(path.join(upstreamDir, 'auth.getSession.json'), JSON.stringify({
+    body: { session: { name: 'rj', key: 'secret-session-key', subscriber: 0 } }
+  }))
+  await saveFixture(upstreamDir, { method: 'artist.getCorrection', artist: 'guns and roses' }, 200, {
+    corrections: { correction: { artist: { name: 'Guns N\' Roses', mbid: '' } } }
+  })
+  await saveFixture(upstreamDir, { method: 'artist.getCorrection', artist: 'the beatles' }, 200, {
+    corrections: { correction: { artist: { name: 'The Beatles', mbid: '' } } }
+  })
+  fs.copyFileSync(path.join(__dirname, 'fixtures', 'artist.getInfo.json'), path.join(upstreamDir, 'artist.getInfo.json'))
+
+  server = createMockServer({ fixtures: upstreamDir })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/2.0/`
+})
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve))
+  fs.rmSync(tmp, { recursive: true, force: true })
+})
+
+test('mock server answers fixtures by params', async () => {
+  const lastfm = new LastFM('test-key', { baseUrl })
+  assert.equal((await lastfm.artistCorrection({ name: 'guns and roses' })).name, 'Guns N\' Roses')
+  assert.equal((await lastfm.artistCorrection({ name: 'the beatles' })).name, 'The Beatles')
+  // `<method>.json` answers any params
+  assert.equal((await lastfm.artistInfo({ name: 'Anyone' })).name, 'Cher')
+})
+
+test('mock server errors', async () => {
+  const lastfm = new LastFM('test-key', { baseUrl, retries: 0 })
+  await assert.rejects(lastfm.artistCorrection({ name: 'unknown' }), err => {
+    assert.equal(err.name, 'LastFMError')
+    assert.equal(err.code, 6)
+    assert.equal(err.statusCode, 404)
+    return true
+  })
+
+  const noKey = await get(baseUrl + '?method=artist.getInfo&format=json')
+  assert.equal(noKey.statusCode, 403)
+  assert.equal(noKey.body.error, 10)
+
+  const noMethod = await get(baseUrl + '?api_key=test-key&format=json')
+  assert.equal(noMethod.statusCode, 400)
+  assert.equal(noMethod.body.error, 3)
+
+  const badMethod = await get(baseUrl + '?api_key=test-key&format=json&method=../../package')
+  assert.equal(badMethod.statusCode, 404)
+  assert.equal(badMethod.body.error, 6)
+
+  assert.equal((await get(baseUrl.replace('/2.0/', '/other'))).statusCode, 404)
+})
+
+test('record, then replay without the server', async () => {
+  const recordDir = path.join(tmp, 'recorded')
+  const recorder = new LastFM('secret-api-key', { baseUrl, record: recordDir, secret: 'secret-api-secret' })
+  const recorded = {
+    artist: await recorder.artistInfo({ name: 'Cher' }),
+    correction: await recorder.artistCorrection({ name: 'the beatles' }),
+    session: await recorder.authSession({ token: 'secret-token' })
+  }
+  assert.equal(recorded.session.key, 'secret-session-key')
+
+  const files = fs.readdirSync(recordDir)
+  assert.equal(files.length, 3)
+  files.forEach(file => {
+    assert.match(file, /^[a-z]+\.[a-zA-Z]+\.[0-9a-f]{10}\.json$/)
+    const json = fs.readFileSync(path.join(recordDir, file), 'utf8')
+    SECRETS.forEach(secret => assert.ok(!json.includes(secret), file + ' contains ' + secret))
+  })
+  const session = JSON.parse(fs.readFileSync(path.join(recordDir, files.find(file => file.startsWith('auth.getSession'))), 'utf8'))
+  assert.deepEqual(session.params, { method: 'auth.getSession' })
+  assert.equal(session.body.session.key, 'REDACTED')
+
+  const replayer = new LastFM('another-key', { replay: recordDir, secret: 'another-secret' })
+  assert.deepEqual(await replayer.artistInfo({ name: 'Cher' }), recorded.artist)
+  assert.deepEqual(await replayer.artistCorrection({ name: 'the beatles' }), recorded.correction)
+  assert.equal((await replayer.authSession({ token: 'another-token' })).key, 'REDACTED')
+
+  await assert.rejects(replayer.artistCorrection({ name: 'guns and roses' }), err => {
+    assert.equal(err.code, 'ENOFIXTURE')
+    assert.match(err.message, /^No fixture for artist\.getCorrection in /)
+    return true
+  })
+})
+
+test('record and replay options', () => {
+  assert.throws(() => new LastFM('test-key', { record: 'a', replay: 'b' }), /can't be used together/)
+})
@@ -0,0 +1,205 @@
+const assert = require('node:assert/strict')
+const crypto = require('node:crypto')
+const { test } = require('node:test')
+const LastFM = require('../index.js')
+
+function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Transport that answers with `responses` (`[statusCode, body]`) in turn, and
+// records every request
+function stubTransport (responses) {
+  const transport = (req, cb) => {
+    transport.requests.push(req)
+    const [statusCode, body] = responses[Math.min(transport.requests.length, responses.length) - 1]
+    setTimeout(() => cb(null, { statusCode }, body), 1)
+  }
+  transport.requests = []
+  return transport
+}
+
+const DISCO = [200, { tag: { name: 'disco', reach: 1, total: 2 } }]
+
+test('abort during retry backoff', async () => {
+  let calls = 0
+  const lastfm = new LastFM('test-key', {
+    // Calls back synchronously
+    transport: (req, cb) => {
+      calls += 1
+      cb(null, { statusCode: 503 }, {})
+    },
+    retries: 1,
+    retryDelay: 100
+  })
+  const controller = new AbortController()
+  const promise = lastfm.tagInfo({ tag: 'disco', signal: controller.signal })
+  await delay(20)
+  controller.abort()
+  await assert.rejects(promise, { name: 'AbortError' })
+  await delay(150)
+  assert.equal(calls, 1)
+  assert.equal(lastfm.queueStats.running, 0)
+})
+
+test('trackScrobble reports the batches sent before a failure', async () => {
+  let batches = 0
+  const lastfm = new LastFM('test-key', {
+    secret: 'test-secret',
+    sessionKey: 'test-session',
+    retries: 0,
+    transport: (req, cb) => {
+      batches += 1
+      if (batches === 2) return cb(null, { statusCode: 200 }, { error: 11, message: 'Service Offline' })
+      cb(null, { statusCode: 200 }, {
+        scrobbles: { '@attr': { accepted: 50, ignored: 0 }, scrobble: [] }
+      })
+    }
+  })
+  const scrobbles = Array.from({ length: 120 }, (_, i) => ({ name: 'Track ' + i, artistName: 'Cher', timestamp: 1700000000 + i }))
+  await assert.rejects(lastfm.trackScrobble({ scrobbles }), err => {
+    assert.equal(err.code, 11)
+    assert.equal(err.submitted, 50)
+    assert.equal(err.result.accepted, 50)
+    return true
+  })
+  assert.equal(batches, 2)
+})
+
+test('authToken fails without a token', async () => {
+  const lastfm = new LastFM('test-key', {
+    secret: 'test-secret',
+    transport: (req, cb) => cb(null, { statusCode: 200 }, {})
+  })
+  await assert.rejects(lastfm.authToken(), /Last\.fm sent no token \(token: missing\)/)
+})
+
+test('retries transient errors with backoff', async () => {
+  const transport = stubTransport([[200, { error: 11, message: 'Service Offline' }], [503, {}], DISCO])
+  const lastfm = new LastFM('test-key', { transport, retries: 2, retryDelay: 10, maxRetryDelay: 15 })
+  const retries = []
+  lastfm.on('retry', info => retries.push(info))
+
+  const tag = await lastfm.tagInfo({ tag: 'disco' })
+  assert.equal(tag.name, 'disco')
+  assert.equal(transport.requests.length, 3)
+  assert.deepEqual(retries.map(info => [info.attempt, info.error.code, info.error.statusCode]), [
+    [0, 11, 200],
+    [1, null, 503]
+  ])
+  // Half of the delay is fixed, half random, up to `maxRetryDelay`
+  assert.ok(retries[0].delay >= 5 && retries[0].delay <= 10)
+  assert.ok(retries[1].delay >= 7.5 && retries[1].delay <= 15)
+  assert.equal(lastfm.stats().methods['tag.getInfo'].retries, 2)
+})
+
+test('retries only retryable Last.fm errors', async () => {
+  for (const code of [8, 11, 16, 29]) {
+    const transport = stubTransport([[200, { error: code, message: 'Try again' }], DISCO])
+    const lastfm = new LastFM('test-key', { transport, retries: 1, retryDelay: 1 })
+    assert.equal((await lastfm.tagInfo({ tag: 'disco' })).name, 'disco', 'code ' + code)
+    assert.equal(transport.requests.length, 2, 'code ' + code)
+  }
+
+  for (const code of [6, 10]) {
+    const transport = stubTransport([[200, { error: code, message: 'Nope' }], DISCO])
+    const lastfm = new LastFM('test-key', { transport, retries: 2, retryDelay: 1 })
+    await assert.rejects(lastfm.tagInfo({ tag: 'disco' }), err => {
+      assert.equal(err.name, 'LastFMError')
+      assert.equal(err.code, code)
+      assert.equal(err.isRetryable, false)
+      return true
+    })
+    assert.equal(transport.requests.length, 1, 'code ' + code)
+  }
+})
+
+test('gives up after `retries` attempts', async () => {
+  const transport = stubTransport([[200, { error: 16, message: 'Temporary error' }]])
+  const lastfm = new LastFM('test-key', { transport, retries: 2, retryDelay: 1 })
+  await assert.rejects(lastfm.tagInfo({ tag: 'disco' }), { code: 16, isRetryable: true })
+  assert.equal(transport.requests.length, 3)
+})
+
+test('higher priority requests start first', async () => {
+  const started = []
+  const pending = []
+  const lastfm = new LastFM('test-key', {
+    maxConcurrent: 1,
+    requestsPerSecond: 1000,
+    // Holds every request until released
+    transport: (req, cb) => {
+      started.push(new URL(req.url).searchParams.get('tag'))
+      pending.push(() => cb(null, { statusCode: 200 }, DISCO[1]))
+    }
+  })
+  const calls = [
+    lastfm.tagInfo({ tag: 'first' }),
+    lastfm.tagInfo({ tag: 'low', priority: -5 }),
+    lastfm.tagInfo({ tag: 'default' }),
+    lastfm.tagInfo({ tag: 'high', priority: 10 }),
+    lastfm.tagInfo({ tag: 'higher', priority: 20 }),
+    lastfm.tagInfo({ tag: 'high again', priority: 10 })
+  ]
+  assert.equal(lastfm.queueStats.queued, 5)
+  while (started.length < calls.length) {
+    await delay(5)
+    pending.shift()()
+  }
+  pending.shift()()
+  await Promise.all(calls)
+  assert.deepEqual(started, ['first', 'higher', 'high', 'high again', 'default', 'low'])
+})
+
+test('signed requests', async () => {
+  const transport = stubTransport([[200, { session: { name: 'rj', key: 'session-key', subscriber: '0' } }]])
+  const lastfm = new LastFM('test-key', { transport, secret: 'test-secret' })
+  await lastfm.authSession({ token: 'test-token' })
+
+  const [req] = transport.requests
+  assert.equal(req.method, 'POST')
+  assert.equal(req.url.includes('?'), false)
+  const body = new URLSearchParams(req.body)
+  assert.equal(body.get('format'), 'json')
+  // Every param but `format`, sorted by name, then the secret
+  const expected = crypto.createHash('md5')
+    .update('api_keytest-keymethodauth.getSessiontokentest-tokentest-secret')
+    .digest('hex')
+  assert.equal(body.get('api_sig'), expected)
+  assert.equal(lastfm.sessionKey, 'session-key')
+
+  await assert.rejects(new LastFM('test-key', { transport }).authSession({ token: 'test-token' }), /Missing required `secret` option/)
+})
+
+test('identical requests share one, until all callers abort', async () => {
+  const transport = stubTransport([DISCO])
+  const lastfm = new LastFM('test-key', { transport })
+  const controller = new AbortController()
+  const aborted = lastfm.tagInfo({ tag: 'disco', signal: controller.signal })
+  const kept = lastfm.tagInfo({ tag: 'Disco' })
+  controller.abort()
+
+  await assert.rejects(aborted, { name: 'AbortError' })
+  assert.equal((await kept).name, 'disco')
+  assert.equal(transport.requests.length, 1)
+  assert.equal(transport.requests[0].signal.aborted, false)
+  assert.equal(lastfm.dedupeStats.coalesced, 1)
+
+  // Never answers
+  const requests = []
+  const hanging = new LastFM('test-key', { transport: req => requests.push(req) })
+  const first = new AbortController()
+  const second = new AbortController()
+  const calls = [
+    hanging.tagInfo({ tag: 'rock', signal: first.signal }),
+    hanging.tagInfo({ tag: 'rock', signal: second.signal })
+  ]
+  await delay(5)
+  assert.equal(requests.length, 1)
+  first.abort()
+  assert.equal(requests[0].signal.aborted, false)
+  second.abort()
+  assert.equal(requests[0].signal.aborted, true)
+  for (const call of calls) await assert.rejects(call, { name: 'AbortError' })
+  assert.equal(hanging.queueStats.running, 0)
+})
@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { after, before, test } = require('node:test')
+const ScrobbleQueue = require('../utils/scrobble-queue')
+
+let tmp
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'last-fm-queue-'))
+})
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }))
+
+function apiError (code) {
+  const err = new Error('Last.fm error ' + code)
+  err.code = code
+  err.isRetryable = false
+  return err
+}
+
+// Stands in for the client: fails with `errors` in turn, then accepts everything
+function fakeLastFM (errors) {
+  const calls = []
+  return {
+    calls,
+    sessionKey: 'test-session',
+    trackScrobble (opts) {
+      calls.push(opts.scrobbles)
+      const err = errors.shift()
+      if (err) return Promise.reject(err)
+      return Promise.resolve({ scrobbles: opts.scrobbles.map(() => ({ accepted: true })) })
+    }
+  }
+}
+
+function createQueue (name, lastfm) {
+  return new ScrobbleQueue({ lastfm, path: path.join(tmp, name + '.json') })
+}
+
+test('queue dedupes scrobbles', async () => {
+  const lastfm = fakeLastFM([])
+  const queue = createQueue('dedupe', lastfm)
+  assert.equal(queue.add({ name: 'Believe', artistName: 'Cher', timestamp: 1000 }), true)
+  assert.equal(queue.add({ name: 'believe ', artistName: 'CHER', timestamp: '1000' }), false)
+  assert.equal(queue.add({ name: 'Believe', artistName: 'Cher', timestamp: new Date(2000 * 1000) }), true)
+  assert.equal(queue.size, 2)
+
+  const results = await queue.flush()
+  assert.equal(results.length, 2)
+  assert.equal(queue.size, 0)
+  // Recently submitted scrobbles are still duplicates, also after a restart
+  const restarted = createQueue('dedupe', lastfm)
+  assert.equal(restarted.add({ name: 'Believe', artistName: 'Cher', timestamp: 1000 }), false)
+  assert.equal(restarted.size, 0)
+})
+
+test('queue rejects invalid scrobbles', () => {
+  const queue = createQueue('invalid', fakeLastFM([]))
+  assert.throws(() => queue.add({ name: 'Believe' }), /Missing required scrobble params/)
+  assert.throws(() => queue.add({ name: 'Believe', artistName: 'Cher', timestamp: 'yesterday' }), /Invalid scrobble timestamp: yesterday/)
+  assert.throws(() => queue.add({ name: 'Believe', artistName: 'Cher', timestamp: new Date('nope') }), /Invalid scrobble timestamp/)
+  assert.throws(() => queue.add({ name: 'Believe', artistName: 'Cher', timestamp: -1 }), /Invalid scrobble timestamp/)
+  assert.equal(queue.size, 0)
+})
+
+test('queue keeps scrobbles on temporary errors', async () => {
+  const network = new Error('socket hang up')
+  network.code = 'ECONNRESET'
+  const errors = [network, apiError(9), apiError(10), apiError(13), apiError(26), Object.assign(apiError(11), { isRetryable: true })]
+  const lastfm = fakeLastFM(errors.slice())
+  const queue = createQueue('keep', lastfm)
+  const failed = []
+  const dropped = []
+  queue.on('failed', err => failed.push(err))
+  queue.on('dropped', info => dropped.push(info))
+  queue.add({ name: 'Believe', artistName: 'Cher', timestamp: 1000 })
+
+  for (let i = 0; i < errors.length; i++) {
+    assert.deepEqual(await queue.flush(), [])
+    assert.equal(queue.size, 1)
+  }
+  assert.deepEqual(failed, errors)
+  assert.deepEqual(dropped, [])
+
+  assert.equal((await queue.flush()).length, 1)
+  assert.equal(queue.size, 0)
+})
+
+test('queue drops a batch Last.fm rejects', async () => {
+  const lastfm = fakeLastFM([apiError(6)])
+  const queue = createQueue('drop', lastfm)
+  const dropped = []
+  queue.on('dropped', info => dropped.push(info))
+  for (let i = 0; i < 60; i++) {
+    queue.add({ name: 'Track ' + i, artistName: 'Cher', timestamp: 1000 + i })
+  }
+
+  const results = await queue.flush()
+  assert.deepEqual(lastfm.calls.map(batch => batch.length), [50, 10])
+  assert.equal(dropped.length, 1)
+  assert.equal(dropped[0].error.code, 6)
+  assert.equal(dropped[0].scrobbles.length, 50)
+  assert.equal(results.length, 10)
+  assert.equal(results[0].scrobble.name, 'Track 50')
+  assert.equal(queue.size, 0)
+})
+
+test('queue waits for a session', async () => {
+  const lastfm = fakeLastFM([])
+  lastfm.sessionKey = null
+  const queue = createQueue('session', lastfm)
+  queue.add({ name: 'Believe', artistName: 'Cher', timestamp: 1000 })
+  assert.deepEqual(await queue.flush(), [])
+  assert.equal(lastfm.calls.length, 0)
+  assert.equal(queue.size, 1)
+})
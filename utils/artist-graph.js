@@ -0,0 +1,145 @@
+/**
+ * Weighted graph of similar artists, built by `LastFM#artistSimilarGraph`.
+ *
+ * Nodes are artists (`{ id, name, mbid, depth }`), where `depth` is the number
+ * of steps from the root artist. Edges (`{ source, target, weight }`) point
+ * from an artist to one Last.fm lists as similar, weighted by its match score
+ * (0 to 1). An artist is one node whether it is found by MusicBrainz ID or by
+ * name (ignoring case), and its `id` is its mbid, or else its lowercased name.
+ *
+ * The graph exports as JSON (`toJSON()`, also used by `JSON.stringify`),
+ * GraphML (`toGraphML()`, where nodes are numbered `n0`, `n1`, ... and keep
+ * their `id` as data) and Graphviz DOT (`toDOT()`, where edge weights are
+ * match scores times 100).
+ *
+ * @module artist-graph
+ */
+
+const XML_ENTITIES = new Map([['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["'", '&apos;']])
+
+function escapeXML (str) {
+  return String(str).replace(/[&<>"']/g, char => XML_ENTITIES.get(char))
+}
+
+function escapeDOT (str) {
+  return String(str).replace(/[\\"]/g, char => '\\' + char).replace(/\n/g, '\\n')
+}
+
+function nameKey (name) {
+  return String(name).trim().toLowerCase()
+}
+
+class ArtistGraph {
+  constructor () {
+    this.root = null
+    this.nodes = []
+    this.edges = []
+    // Artists that couldn't be expanded, as `{ id, error }`
+    this.errors = []
+    this._byMbid = new Map()
+    this._byName = new Map()
+    this._edgeKeys = new Set()
+  }
+
+  /**
+   * The node for `artist` (`{ name, mbid }`), if it is in the graph
+   */
+  findNode (artist) {
+    return (artist.mbid && this._byMbid.get(artist.mbid)) ||
+      (artist.name && this._byName.get(nameKey(artist.name))) ||
+      null
+  }
+
+  /**
+   * Add `artist` at `depth`, or return its node if it is already in the graph
+   */
+  addNode (artist, depth) {
+    const node = this.findNode(artist)
+    if (node) {
+      // Found by name before, now with its mbid
+      if (!node.mbid && artist.mbid) {
+        node.mbid = artist.mbid
+        this._byMbid.set(artist.mbid, node)
+      }
+      return node
+    }
+
+    const added = {
+      id: artist.mbid || nameKey(artist.name),
+      name: artist.name,
+      mbid: artist.mbid || undefined,
+      depth
+    }
+    this.nodes.push(added)
+    if (added.mbid) this._byMbid.set(added.mbid, added)
+    if (added.name) this._byName.set(nameKey(added.name), added)
+    if (!this.root) this.root = added.id
+    return added
+  }
+
+  /**
+   * Add an edge between two nodes, unless there already is one
+   */
+  addEdge (source, target, weight) {
+    const key = source.id + '\n' + target.id
+    if (source === target || this._edgeKeys.has(key)) return
+    this._edgeKeys.add(key)
+    this.edges.push({ source: source.id, target: target.id, weight })
+  }
+
+  toJSON () {
+    return {
+      root: this.root,
+      nodes: this.nodes,
+      edges: this.edges,
+      errors: this.errors.map(({ id, error }) => ({ id, message: error.message }))
+    }
+  }
+
+  toGraphML () {
+    // GraphML node ids are NMTOKENs (no spaces), so number the nodes instead
+    // and keep their own ids as data
+    const xmlIds = new Map(this.nodes.map((node, i) => [node.id, 'n' + i]))
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="id" for="node" attr.name="id" attr.type="string"/>',
+      '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+      '  <key id="mbid" for="node" attr.name="mbid" attr.type="string"/>',
+      '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>',
+      '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+      '  <graph id="similar-artists" edgedefault="directed">'
+    ]
+    this.nodes.forEach(node => {
+      lines.push(`    <node id="${xmlIds.get(node.id)}">`)
+      lines.push(`      <data key="id">${escapeXML(node.id)}</data>`)
+      lines.push(`      <data key="name">${escapeXML(node.name)}</data>`)
+      if (node.mbid) lines.push(`      <data key="mbid">${escapeXML(node.mbid)}</data>`)
+      lines.push(`      <data key="depth">${node.depth}</data>`)
+      lines.push('    </node>')
+    })
+    this.edges.forEach(edge => {
+      lines.push(`    <edge source="${xmlIds.get(edge.source)}" target="${xmlIds.get(edge.target)}">`)
+      lines.push(`      <data key="weight">${edge.weight}</data>`)
+      lines.push('    </edge>')
+    })
+    lines.push('  </graph>', '</graphml>')
+    return lines.join('\n') + '\n'
+  }
+
+  toDOT () {
+    const lines = ['digraph "similar-artists" {']
+    this.nodes.forEach(node => {
+      lines.push(`  "${escapeDOT(node.id)}" [label="${escapeDOT(node.name)}"];`)
+    })
+    this.edges.forEach(edge => {
+      // dot only takes integer weights, so the match score is also the label
+      const attrs = `label="${edge.weight}", weight=${Math.round(edge.weight * 100)}`
+      lines.push(`  "${escapeDOT(edge.source)}" -> "${escapeDOT(edge.target)}" [${attrs}];`)
+    })
+    lines.push('}')
+    return lines.join('\n') + '\n'
+  }
+}
+
+module.exports = ArtistGraph
@@ -0,0 +1,146 @@
+/**
+ * Recorded Last.fm API responses ("fixtures"), for offline development and
+ * tests. Used by the client's `record` and `replay` options and by the mock
+ * server (utils/mock-server.js).
+ *
+ * A fixture is a JSON file `{ method, params, statusCode, body }`. `params` are
+ * the request params without credentials (`api_key`, `api_sig`, `sk`, `token`)
+ * or `format`, and credentials are replaced by "REDACTED" in `body`. Recorded
+ * fixtures are named `<method>.<hash>.json`, where the hash identifies the
+ * params, so one directory holds the responses to many calls of a method. A
+ * `<method>.json` fixture answers every call of that method that has no
+ * fixture of its own.
+ *
+ * @module fixtures
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const querystring = require('querystring')
+
+const CREDENTIAL_PARAMS = ['api_key', 'api_sig', 'sk', 'token']
+
+const REDACTED = 'REDACTED'
+
+// Also keeps request params from reaching outside the fixtures directory
+const METHOD_REGEXP = /^[a-z]+\.[a-zA-Z]+$/
+
+/**
+ * Params of a request, from its query string (GET) or form body (POST)
+ */
+function requestParams (req) {
+  const params = querystring.parse(new URL(req.url).search.slice(1))
+  if (req.body) Object.assign(params, querystring.parse(req.body))
+  return params
+}
+
+/**
+ * `params` without credentials or `format`, as strings, sorted by name
+ */
+function fixtureParams (params) {
+  return Object.fromEntries(Object.entries(params)
+    .filter(([key]) => !CREDENTIAL_PARAMS.includes(key) && key !== 'format')
+    .sort(([a], [b]) => a < b ? -1 : 1)
+    .map(([key, value]) => [key, String(value)]))
+}
+
+function fixtureFile (params) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify(fixtureParams(params)))
+    .digest('hex')
+    .slice(0, 10)
+  return params.method + '.' + hash + '.json'
+}
+
+/**
+ * Load the fixture for a request with `params` from `dir`. Calls
+ * `cb(err, fixture)`, with a null fixture if there is none.
+ */
+function loadFixture (dir, params, cb) {
+  if (!METHOD_REGEXP.test(params.method)) return process.nextTick(cb, null, null)
+  const next = files => {
+    if (files.length === 0) return cb(null, null)
+    const file = files[0]
+    fs.readFile(path.join(dir, file), 'utf8', (err, json) => {
+      if (err && err.code === 'ENOENT') return next(files.slice(1))
+      if (err) return cb(err)
+      let fixture
+      try {
+        fixture = JSON.parse(json)
+      } catch (err) {
+        err.message = file + ': ' + err.message
+        return cb(err)
+      }
+      cb(null, fixture)
+    })
+  }
+  next([fixtureFile(params), params.method + '.json'])
+}
+
+/**
+ * Save the response to a request with `params` in `dir`, without credentials.
+ * Returns a promise if `cb` is omitted.
+ */
+function saveFixture (dir, params, statusCode, body, cb) {
+  if (!cb) {
+    return new Promise((resolve, reject) => {
+      saveFixture(dir, params, statusCode, body, err => err ? reject(err) : resolve())
+    })
+  }
+  // Besides the request's credentials, don't record those Last.fm sends back
+  const secrets = Object.entries(params)
+    .filter(([key]) => CREDENTIAL_PARAMS.includes(key))
+    .map(([, value]) => value)
+  if (body && body.session) secrets.push(body.session.key)
+  if (params.method === 'auth.getToken' && body) secrets.push(body.token)
+
+  let json = JSON.stringify({ method: params.method, params: fixtureParams(params), statusCode, body }, null, 2)
+  secrets
+    .filter(secret => typeof secret === 'string' && secret.length > 0)
+    .forEach(secret => { json = json.split(JSON.stringify(secret).slice(1, -1)).join(REDACTED) })
+
+  fs.mkdir(dir, { recursive: true }, err => {
+    if (err) return cb(err)
+    fs.writeFile(path.join(dir, fixtureFile(params)), json + '\n', cb)
+  })
+}
+
+/**
+ * Wrap `transport` (see utils/transport.js) to save every JSON response as a
+ * fixture in `dir`
+ */
+function recordTransport (transport, dir) {
+  return (req, cb) => {
+    transport(req, (err, res, data) => {
+      if (err || !res) return cb(err, res, data)
+      saveFixture(dir, requestParams(req), res.statusCode, data, saveErr => {
+        if (saveErr) return cb(saveErr, res)
+        cb(null, res, data)
+      })
+    })
+  }
+}
+
+/**
+ * Transport that answers every request from the fixtures in `dir`, without
+ * network access. A request without a fixture fails with code 'ENOFIXTURE'.
+ */
+function replayTransport (dir) {
+  return (req, cb) => {
+    const params = requestParams(req)
+    loadFixture(dir, params, (err, fixture) => {
+      if (req.signal && req.signal.aborted) return
+      if (err) return cb(err)
+      if (!fixture) {
+        const err = new Error('No fixture for ' + params.method + ' in ' + dir + ' (' + fixtureFile(params) + ')')
+        err.code = 'ENOFIXTURE'
+        return cb(err)
+      }
+      const res = { statusCode: fixture.statusCode || 200, size: JSON.stringify(fixture.body).length }
+      cb(null, res, fixture.body)
+    })
+  }
+}
+
+module.exports = { requestParams, loadFixture, saveFixture, recordTransport, replayTransport }
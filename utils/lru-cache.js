@@ -0,0 +1,53 @@
+/**
+ * In-memory least-recently-used cache with per-entry expiry.
+ *
+ * Implements the async cache adapter interface used by the Last.fm client:
+ * `get(key)` resolves to the cached value or `undefined`, and
+ * `set(key, value, ttl)` stores a value for `ttl` milliseconds. Any object with
+ * the same two methods (e.g. a file-backed store) can be used in its place.
+ *
+ * @module lru-cache
+ */
+
+class LRUCache {
+  constructor (opts) {
+    if (!opts) opts = {}
+    this.max = opts.max || 500
+    this._entries = new Map()
+  }
+
+  get size () {
+    return this._entries.size
+  }
+
+  async get (key) {
+    const entry = this._entries.get(key)
+    if (!entry) return undefined
+    if (entry.expires <= Date.now()) {
+      this._entries.delete(key)
+      return undefined
+    }
+    // Re-insert to mark as most recently used
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+    return entry.value
+  }
+
+  async set (key, value, ttl) {
+    this._entries.delete(key)
+    this._entries.set(key, { value, expires: Date.now() + ttl })
+    while (this._entries.size > this.max) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+
+  async delete (key) {
+    this._entries.delete(key)
+  }
+
+  async clear () {
+    this._entries.clear()
+  }
+}
+
+module.exports = LRUCache
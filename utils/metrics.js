@@ -0,0 +1,89 @@
+/**
+ * Per-method request counters and latency histograms for the Last.fm client.
+ *
+ * Latencies are counted in fixed buckets: a bucket `le: 250` holds requests
+ * that took more than the previous bucket's bound and at most 250ms. The last
+ * bucket (`le: null`) holds everything slower.
+ *
+ * @module metrics
+ */
+
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+const COUNTERS = ['requests', 'responses', 'errors', 'retries', 'cacheHits', 'aborted']
+
+class Metrics {
+  constructor () {
+    this._methods = new Map()
+  }
+
+  /**
+   * Increment `counter` (one of COUNTERS) for `method`
+   */
+  count (method, counter) {
+    const counts = this._get(method).counts
+    counts.set(counter, counts.get(counter) + 1)
+  }
+
+  /**
+   * Record a response for `method` that took `duration` ms and was `size` bytes
+   */
+  observe (method, duration, size) {
+    const entry = this._get(method)
+    entry.counts.set('responses', entry.counts.get('responses') + 1)
+    entry.totalDuration += duration
+    entry.minDuration = Math.min(entry.minDuration, duration)
+    entry.maxDuration = Math.max(entry.maxDuration, duration)
+    entry.totalSize += size || 0
+
+    let i = LATENCY_BUCKETS.findIndex(bound => duration <= bound)
+    if (i === -1) i = LATENCY_BUCKETS.length
+    entry.histogram[i] += 1
+  }
+
+  /**
+   * Snapshot of every method's counters, as `{ [method]: { requests, ...,
+   * latency: { mean, min, max, histogram } } }`
+   */
+  snapshot () {
+    const methods = {}
+    this._methods.forEach((entry, method) => {
+      const responses = entry.counts.get('responses')
+      const stats = Object.fromEntries(entry.counts)
+      stats.bytes = entry.totalSize
+      stats.latency = {
+        mean: responses ? Math.round(entry.totalDuration / responses) : 0,
+        min: responses ? entry.minDuration : 0,
+        max: entry.maxDuration,
+        histogram: entry.histogram.map((count, i) => ({
+          le: i < LATENCY_BUCKETS.length ? LATENCY_BUCKETS[i] : null,
+          count
+        }))
+      }
+      methods[method] = stats
+    })
+    return methods
+  }
+
+  reset () {
+    this._methods.clear()
+  }
+
+  _get (method) {
+    let entry = this._methods.get(method)
+    if (!entry) {
+      entry = {
+        counts: new Map(COUNTERS.map(counter => [counter, 0])),
+        totalDuration: 0,
+        minDuration: Infinity,
+        maxDuration: 0,
+        totalSize: 0,
+        histogram: new Array(LATENCY_BUCKETS.length + 1).fill(0)
+      }
+      this._methods.set(method, entry)
+    }
+    return entry
+  }
+}
+
+module.exports = Metrics
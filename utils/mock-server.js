@@ -0,0 +1,93 @@
+/**
+ * Local stand-in for the Last.fm API (`ws.audioscrobbler.com/2.0/`) that
+ * answers from fixtures (see utils/fixtures.js), for offline development and
+ * tests. Point the client at it with the `baseUrl` option:
+ *
+ *   const server = createMockServer({ fixtures: 'test/fixtures' })
+ *   server.listen(0, () => {
+ *     const lastfm = new LastFM('any key', { baseUrl: `http://localhost:${server.address().port}/2.0/` })
+ *   })
+ *
+ * Or run it with `npm run mock` and set `LASTFM_API_URL` (see .env.example)
+ * for the desktop app.
+ *
+ * Like Last.fm, it answers requests without an `api_key` or `method` with an
+ * error. A request without a fixture gets error 6 ("invalid parameters", which
+ * Last.fm also returns for unknown artists, tracks etc.) and HTTP status 404.
+ *
+ * @module mock-server
+ */
+
+const http = require('http')
+const path = require('path')
+const querystring = require('querystring')
+const { loadFixture } = require('./fixtures')
+
+const DEFAULT_PORT = 3456
+
+// Requests larger than this are refused, there is no API method that needs them
+const MAX_BODY_SIZE = 1024 * 1024
+
+function sendJSON (res, statusCode, body) {
+  const json = JSON.stringify(body)
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json)
+  })
+  res.end(json)
+}
+
+function sendError (res, statusCode, code, message) {
+  sendJSON(res, statusCode, { error: code, message })
+}
+
+/**
+ * Create the mock server (an `http.Server`, not yet listening). Options:
+ * `fixtures`, the fixtures directory.
+ */
+function createMockServer (opts) {
+  if (!opts || !opts.fixtures) throw new Error('Missing required option: fixtures')
+  const dir = opts.fixtures
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname !== '/2.0/' && url.pathname !== '/2.0') {
+      return sendJSON(res, 404, { error: 'Not found' })
+    }
+
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        sendError(res, 413, 6, 'Invalid parameters - Request too large')
+        req.destroy()
+      }
+    })
+    req.on('end', () => {
+      const params = Object.assign(querystring.parse(url.search.slice(1)), querystring.parse(body))
+      if (!params.api_key) {
+        return sendError(res, 403, 10, 'Invalid API key - You must be granted a valid key by last.fm')
+      }
+      if (!params.method) {
+        return sendError(res, 400, 3, 'Invalid Method - No method with that name in this package')
+      }
+      loadFixture(dir, params, (err, fixture) => {
+        if (err) return sendError(res, 500, 8, 'Operation failed - ' + err.message)
+        if (!fixture) return sendError(res, 404, 6, 'Invalid parameters - No fixture for ' + params.method)
+        sendJSON(res, fixture.statusCode || 200, fixture.body)
+      })
+    })
+  })
+}
+
+module.exports = { createMockServer }
+
+// node utils/mock-server.js [fixtures directory] [port]
+if (require.main === module) {
+  const dir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'test', 'fixtures'))
+  const port = Number(process.argv[3]) || DEFAULT_PORT
+  createMockServer({ fixtures: dir }).listen(port, () => {
+    console.log(`Mock Last.fm API serving ${dir} at http://localhost:${port}/2.0/`)
+  })
+}
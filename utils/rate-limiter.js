@@ -0,0 +1,111 @@
+/**
+ * Token-bucket rate limiter with a priority queue, used by the Last.fm client
+ * to stay under the API's request rate.
+ *
+ * Tasks are started in priority order (higher first, FIFO among equal
+ * priorities) as long as a token is available and fewer than `maxConcurrent`
+ * tasks are running. Tokens refill continuously at `requestsPerSecond`, up to
+ * `burst` tokens.
+ *
+ * @module rate-limiter
+ */
+
+class RateLimiter {
+  constructor (opts) {
+    if (!opts) opts = {}
+    this.requestsPerSecond = opts.requestsPerSecond || Infinity
+    this.maxConcurrent = opts.maxConcurrent || Infinity
+    this.burst = opts.burst || (isFinite(this.requestsPerSecond) ? this.requestsPerSecond : 1)
+
+    this._tokens = this.burst
+    this._lastRefill = Date.now()
+    this._queue = []
+    this._running = 0
+    this._timer = null
+
+    this._processed = 0
+    this._maxQueueDepth = 0
+    this._totalWait = 0
+    this._maxWait = 0
+  }
+
+  /**
+   * Queue `task(done)` to run once the rate limit allows. The task must call
+   * `done()` when it finishes so that its concurrency slot is released.
+   * Returns a function that removes the task from the queue if it hasn't
+   * started yet (and returns whether it was removed).
+   */
+  schedule (task, priority) {
+    const entry = { task, priority: priority || 0, queuedAt: Date.now() }
+
+    // Insert after every entry of equal or higher priority
+    let i = this._queue.length
+    while (i > 0 && this._queue[i - 1].priority < entry.priority) i -= 1
+    this._queue.splice(i, 0, entry)
+
+    this._maxQueueDepth = Math.max(this._maxQueueDepth, this._queue.length)
+    this._drain()
+
+    return () => {
+      const index = this._queue.indexOf(entry)
+      if (index !== -1) this._queue.splice(index, 1)
+      return index !== -1
+    }
+  }
+
+  stats () {
+    return {
+      queued: this._queue.length,
+      running: this._running,
+      processed: this._processed,
+      maxQueueDepth: this._maxQueueDepth,
+      averageWait: this._processed ? Math.round(this._totalWait / this._processed) : 0,
+      maxWait: this._maxWait
+    }
+  }
+
+  _refill () {
+    if (!isFinite(this.requestsPerSecond)) return
+    const now = Date.now()
+    const elapsed = (now - this._lastRefill) / 1000
+    this._tokens = Math.min(this.burst, this._tokens + elapsed * this.requestsPerSecond)
+    this._lastRefill = now
+  }
+
+  _drain () {
+    if (this._timer) return
+    while (this._queue.length > 0 && this._running < this.maxConcurrent) {
+      this._refill()
+      if (isFinite(this.requestsPerSecond)) {
+        if (this._tokens < 1) {
+          const wait = Math.ceil((1 - this._tokens) / this.requestsPerSecond * 1000)
+          this._timer = setTimeout(() => {
+            this._timer = null
+            this._drain()
+          }, wait)
+          return
+        }
+        this._tokens -= 1
+      }
+      this._start(this._queue.shift())
+    }
+  }
+
+  _start (entry) {
+    const wait = Date.now() - entry.queuedAt
+    this._totalWait += wait
+    this._maxWait = Math.max(this._maxWait, wait)
+    this._processed += 1
+    this._running += 1
+
+    let finished = false
+    entry.task(() => {
+      if (finished) return
+      finished = true
+      this._running -= 1
+      this._drain()
+    })
+  }
+}
+
+module.exports = RateLimiter
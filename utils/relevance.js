@@ -0,0 +1,125 @@
+/**
+ * Relevance scoring for combined search results.
+ *
+ * A result's score blends how closely its name matches the query (after
+ * normalizing case, diacritics, punctuation and a leading "The") with its
+ * popularity (listener count, log-scaled against the most popular result):
+ *
+ *   score = TEXT_WEIGHT * similarity + (1 - TEXT_WEIGHT) * popularity
+ *
+ * Similarity is 1 for an exact normalized match, otherwise the best of edit
+ * distance, token overlap and prefix match, capped just below 1.
+ *
+ * @module relevance
+ */
+
+const TEXT_WEIGHT = 0.75
+
+// Similarity at or above which a result counts as a (fuzzy) name match
+const MATCH_THRESHOLD = 0.6
+
+// Letters that don't decompose into a base letter plus a combining mark
+const FOLDED_LETTERS = { ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' }
+
+// Long names are truncated before computing edit distance, to bound its cost
+const MAX_EDIT_LENGTH = 64
+
+function normalize (str) {
+  return String(str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[øæœßłđðþı]/g, letter => FOLDED_LETTERS[letter])
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '')
+}
+
+function levenshtein (a, b) {
+  a = a.slice(0, MAX_EDIT_LENGTH)
+  b = b.slice(0, MAX_EDIT_LENGTH)
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost))
+    }
+    prev = row
+  }
+  return prev[b.length]
+}
+
+/**
+ * Dice coefficient of the two strings' sets of words
+ */
+function tokenOverlap (a, b) {
+  const tokensA = new Set(a.split(' '))
+  const tokensB = new Set(b.split(' '))
+  let shared = 0
+  tokensA.forEach(token => { if (tokensB.has(token)) shared += 1 })
+  return 2 * shared / (tokensA.size + tokensB.size)
+}
+
+/**
+ * How closely `name` matches `query`, from 0 to 1 (exact normalized match)
+ */
+function similarity (query, name) {
+  const q = normalize(query)
+  const n = normalize(name)
+  if (!q || !n) return 0
+  if (q === n) return 1
+
+  const edit = 1 - levenshtein(q, n) / Math.max(q.length, n.length)
+  const overlap = tokenOverlap(q, n)
+  // Typing the start of a name ("radioh") should find it
+  const prefix = n.startsWith(q) ? 0.7 + 0.25 * q.length / n.length : 0
+  return Math.min(0.95, Math.max(edit, overlap, prefix))
+}
+
+/**
+ * Score every item (artists, tracks and albums from `search()`) against
+ * `query`. Returns `{ scores, top, reason }`: `scores` in the same order as
+ * `items`, the best-scoring item, and why it was picked.
+ */
+function rank (query, items) {
+  const maxListeners = Math.max(0, ...items.map(item => item.listeners || 0))
+  const details = items.map(item => {
+    let textScore = similarity(query, item.name)
+    // Also match queries like "beatles yesterday" against artist + title
+    if (item.artistName) {
+      textScore = Math.max(textScore, similarity(query, item.artistName + ' ' + item.name))
+    }
+    const popularity = maxListeners > 0
+      ? Math.log10(1 + (item.listeners || 0)) / Math.log10(1 + maxListeners)
+      : 0
+    const score = TEXT_WEIGHT * textScore + (1 - TEXT_WEIGHT) * popularity
+    return { item, similarity: textScore, popularity, score }
+  })
+
+  // Highest score first; on a tie, keep the earlier item (artists come first)
+  const best = details.reduce((best, d) => (!best || d.score > best.score ? d : best), null)
+  if (!best) return { scores: [], top: null, reason: null }
+
+  let match = 'popularity'
+  if (best.similarity === 1) match = 'exact'
+  else if (best.similarity >= MATCH_THRESHOLD) match = 'fuzzy'
+
+  return {
+    scores: details.map(d => round(d.score)),
+    top: best.item,
+    reason: {
+      match,
+      similarity: round(best.similarity),
+      popularity: round(best.popularity),
+      score: round(best.score)
+    }
+  }
+}
+
+function round (value) {
+  return Math.round(value * 1000) / 1000
+}
+
+module.exports = { normalize, similarity, rank }
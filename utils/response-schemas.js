@@ -0,0 +1,227 @@
+/**
+ * Schemas of the Last.fm API responses the client parses, by API method. Each
+ * describes the part of the response the client reads (e.g. `data.artist` for
+ * `artist.getInfo`), so that a response with missing or oddly shaped fields is
+ * repaired with defaults and warnings instead of crashing the parser.
+ *
+ * @module response-schemas
+ */
+
+const { string, number, any, array, object, required, validate } = require('./schema')
+
+const IMAGES = array(object({ size: string(), '#text': string() }))
+
+const TEXT = { '#text': string(), mbid: string() }
+
+const WIKI_FIELDS = {
+  summary: string({ default: '' }),
+  content: string({ default: '' }),
+  published: string()
+}
+
+const WIKI = object(WIKI_FIELDS, { optional: true })
+
+const ARTIST = object({
+  name: required(string()),
+  mbid: string(),
+  listeners: number(),
+  playcount: number(),
+  tagcount: number(),
+  match: number(),
+  image: IMAGES
+})
+
+const ALBUM = object({
+  name: required(string()),
+  mbid: string(),
+  // An artist object, or just the name
+  artist: required(any({ default: '' })),
+  playcount: number(),
+  listeners: number(),
+  image: IMAGES
+})
+
+const TRACK = object({
+  name: required(string()),
+  mbid: string(),
+  artist: required(any({ default: '' })),
+  album: object(TEXT, { optional: true }),
+  duration: number(),
+  playcount: number(),
+  listeners: number(),
+  match: number(),
+  date: object({ uts: number() }, { optional: true }),
+  loved: string(),
+  image: array(IMAGES.item, { optional: true })
+})
+
+const TAG = object({
+  name: required(string()),
+  count: number(),
+  reach: number(),
+  taggings: number()
+})
+
+const TAGS = object({ tag: array(TAG) })
+
+const USER = object({
+  name: required(string()),
+  realname: string(),
+  country: string(),
+  playcount: number(),
+  subscriber: number(),
+  image: IMAGES
+})
+
+const SCROBBLE = object({
+  track: object(TEXT),
+  artist: object(TEXT),
+  album: object(TEXT, { optional: true }),
+  timestamp: number(),
+  ignoredMessage: object({ code: number(), '#text': string() }, { optional: true })
+})
+
+const PAGE_ATTR = object({
+  page: required(number()),
+  perPage: required(number()),
+  total: required(number()),
+  totalPages: required(number())
+})
+
+const SEARCH_FIELDS = {
+  'opensearch:totalResults': required(number({ default: 0 })),
+  'opensearch:itemsPerPage': required(number({ default: 0 })),
+  'opensearch:startIndex': required(number({ default: 0 }))
+}
+
+const CHART_WEEKS = object({
+  chart: array(object({ from: required(number()), to: required(number()) }))
+})
+
+const WEEK_ATTR = object({ from: required(number()), to: required(number()) })
+
+function list (key, item) {
+  return object({ '@attr': PAGE_ATTR, [key]: array(item) })
+}
+
+function weeklyList (key, item) {
+  return object({ '@attr': WEEK_ATTR, [key]: array(item) })
+}
+
+function search (key, itemKey, item) {
+  return object(Object.assign({ [key]: object({ [itemKey]: array(item) }) }, SEARCH_FIELDS))
+}
+
+const SCHEMAS = new Map(Object.entries({
+  'album.getInfo': object({
+    name: required(string()),
+    mbid: string(),
+    artist: required(string()),
+    image: IMAGES,
+    playcount: number(),
+    listeners: number(),
+    tracks: object({ track: array(TRACK) }),
+    tags: TAGS,
+    wiki: WIKI
+  }),
+  'album.getTopTags': TAGS,
+  'album.search': search('albummatches', 'album', ALBUM),
+  'artist.getCorrection': object({
+    correction: required(object({ artist: object({ name: required(string()), mbid: string() }) }))
+  }),
+  'artist.getInfo': object({
+    name: required(string()),
+    mbid: string(),
+    image: IMAGES,
+    stats: required(object({ listeners: required(number()) })),
+    tags: TAGS,
+    bio: object(WIKI_FIELDS),
+    similar: object({ artist: array(ARTIST) })
+  }),
+  'artist.getSimilar': object({ artist: array(ARTIST) }),
+  'artist.getTopAlbums': list('album', ALBUM),
+  'artist.getTopTags': TAGS,
+  'artist.getTopTracks': list('track', TRACK),
+  'artist.search': search('artistmatches', 'artist', ARTIST),
+  'auth.getSession': object({ name: required(string()), key: required(string()), subscriber: number() }),
+  'auth.getToken': required(string()),
+  'chart.getTopArtists': list('artist', ARTIST),
+  'chart.getTopTags': list('tag', TAG),
+  'chart.getTopTracks': list('track', TRACK),
+  'geo.getTopArtists': list('artist', ARTIST),
+  'geo.getTopTracks': list('track', TRACK),
+  'library.getArtists': list('artist', ARTIST),
+  'tag.getInfo': object({
+    name: required(string()),
+    reach: number(),
+    total: number(),
+    wiki: WIKI
+  }),
+  'tag.getSimilar': TAGS,
+  'tag.getTopAlbums': list('album', ALBUM),
+  'tag.getTopArtists': list('artist', ARTIST),
+  'tag.getTopTags': TAGS,
+  'tag.getTopTracks': list('track', TRACK),
+  'tag.getWeeklyChartList': CHART_WEEKS,
+  'track.getCorrection': object({
+    correction: required(object({
+      track: object({
+        name: required(string()),
+        mbid: string(),
+        artist: object({ name: required(string()), mbid: string() })
+      })
+    }))
+  }),
+  'track.getInfo': object({
+    name: required(string()),
+    mbid: string(),
+    artist: required(object({ name: required(string()), mbid: string() })),
+    album: object({ title: string(), mbid: string(), image: IMAGES }, { optional: true }),
+    listeners: number(),
+    duration: number(),
+    toptags: TAGS,
+    wiki: WIKI
+  }),
+  'track.getSimilar': object({ track: array(TRACK) }),
+  'track.getTopTags': TAGS,
+  'track.scrobble': object({
+    '@attr': required(object({ accepted: number({ default: 0 }), ignored: number({ default: 0 }) })),
+    scrobble: array(SCROBBLE)
+  }),
+  'track.search': search('trackmatches', 'track', TRACK),
+  'track.updateNowPlaying': SCROBBLE,
+  'user.getFriends': list('user', USER),
+  'user.getInfo': object(Object.assign({}, USER.fields, {
+    artist_count: number(),
+    album_count: number(),
+    track_count: number()
+  })),
+  'user.getLovedTracks': list('track', TRACK),
+  'user.getPersonalTags': object({
+    '@attr': PAGE_ATTR,
+    artists: object({ artist: array(ARTIST) }, { optional: true }),
+    albums: object({ album: array(ALBUM) }, { optional: true }),
+    tracks: object({ track: array(TRACK) }, { optional: true })
+  }),
+  'user.getRecentTracks': list('track', TRACK),
+  'user.getTopAlbums': list('album', ALBUM),
+  'user.getTopArtists': list('artist', ARTIST),
+  'user.getTopTags': object({ tag: array(TAG) }),
+  'user.getTopTracks': list('track', TRACK),
+  'user.getWeeklyAlbumChart': weeklyList('album', ALBUM),
+  'user.getWeeklyArtistChart': weeklyList('artist', ARTIST),
+  'user.getWeeklyChartList': CHART_WEEKS,
+  'user.getWeeklyTrackChart': weeklyList('track', TRACK)
+}))
+
+/**
+ * Validate `data`, the `name` part of a `method` response. Returns
+ * `{ value, warnings }`; responses of methods without a schema pass through.
+ */
+function validateResponse (method, name, data) {
+  const schema = SCHEMAS.get(method)
+  if (!schema) return { value: data, warnings: [] }
+  return validate(schema, data, name)
+}
+
+module.exports = { validateResponse }
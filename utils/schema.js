@@ -0,0 +1,132 @@
+/**
+ * Minimal schema validation with coercion, for Last.fm API responses.
+ *
+ * `validate(schema, value, path)` returns `{ value, warnings }`. Instead of
+ * failing, it repairs the value so that code reading it doesn't throw:
+ *
+ * - arrays: a single item becomes a one-item array, a missing value (or "",
+ *   which Last.fm sends for empty lists) becomes `[]`
+ * - objects: a missing value becomes an object with every field's default, so
+ *   nested lookups such as `artist.similar.artist` always work. Fields not in
+ *   the schema are kept as they are.
+ * - leaves: a value of the wrong type is replaced by the field's default
+ *
+ * Every repair other than the expected Last.fm quirks above, and every missing
+ * `required` field, adds a warning like `"artist.stats.listeners: missing"`.
+ *
+ * @module schema
+ */
+
+function string (opts) {
+  return Object.assign({ type: 'string' }, opts)
+}
+
+/**
+ * A number, or a numeric string (Last.fm sends most numbers as strings). The
+ * value is not converted.
+ */
+function number (opts) {
+  return Object.assign({ type: 'number' }, opts)
+}
+
+function any (opts) {
+  return Object.assign({ type: 'any' }, opts)
+}
+
+function array (item, opts) {
+  return Object.assign({ type: 'array', item }, opts)
+}
+
+/**
+ * An object with `fields`. With `optional: true`, a missing object is left
+ * undefined instead of being replaced by the defaults.
+ */
+function object (fields, opts) {
+  return Object.assign({ type: 'object', fields }, opts)
+}
+
+function required (schema) {
+  return Object.assign({}, schema, { required: true })
+}
+
+function isMissing (value) {
+  return value === undefined || value === null
+}
+
+function typeOf (value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+function validate (schema, value, path) {
+  const warnings = []
+  const result = check(schema, value, path, warnings)
+  return { value: result, warnings }
+}
+
+function check (schema, value, path, warnings) {
+  switch (schema.type) {
+    case 'object': return checkObject(schema, value, path, warnings)
+    case 'array': return checkArray(schema, value, path, warnings)
+    default: return checkLeaf(schema, value, path, warnings)
+  }
+}
+
+function checkObject (schema, value, path, warnings) {
+  if (isMissing(value) || value === '') {
+    if (schema.required) warnings.push(path + ': missing')
+    if (schema.optional) return undefined
+    value = {}
+  } else if (typeOf(value) !== 'object') {
+    warnings.push(path + ': expected object, got ' + typeOf(value))
+    if (schema.optional) return undefined
+    value = {}
+  }
+
+  const result = Object.assign({}, value)
+  Object.keys(schema.fields).forEach(key => {
+    const fieldValue = check(schema.fields[key], value[key], path + '.' + key, warnings)
+    if (fieldValue === undefined) delete result[key]
+    else result[key] = fieldValue
+  })
+  return result
+}
+
+function checkArray (schema, value, path, warnings) {
+  if (isMissing(value) || value === '') {
+    if (schema.required) warnings.push(path + ': missing')
+    return schema.optional ? undefined : []
+  }
+  const items = Array.isArray(value) ? value : [value]
+  const result = []
+  items.forEach((item, i) => {
+    const itemPath = path + '[' + i + ']'
+    if (schema.item.type === 'object' && typeOf(item) !== 'object') {
+      warnings.push(itemPath + ': expected object, got ' + typeOf(item) + ', skipped')
+      return
+    }
+    result.push(check(schema.item, item, itemPath, warnings))
+  })
+  return result
+}
+
+function checkLeaf (schema, value, path, warnings) {
+  if (isMissing(value) || (schema.type === 'number' && value === '')) {
+    if (schema.required) warnings.push(path + ': missing')
+    return schema.default
+  }
+  let valid = true
+  if (schema.type === 'string') {
+    valid = typeof value === 'string' || typeof value === 'number'
+  } else if (schema.type === 'number') {
+    valid = (typeof value === 'number' || typeof value === 'string') && !isNaN(Number(value))
+  }
+  if (!valid) {
+    warnings.push(path + ': expected ' + schema.type + ', got ' + typeOf(value))
+    return schema.default
+  }
+  return value
+}
+
+module.exports = { string, number, any, array, object, required, validate }
@@ -0,0 +1,182 @@
+/**
+ * Persistent scrobble queue for the desktop app.
+ *
+ * Scrobbles are written to a JSON file (in the app's `userData` directory) as
+ * soon as they are added, so they survive restarts and network outages. The
+ * queue is replayed in order, in batches of 50, whenever `flush()` runs. A
+ * scrobble with the same timestamp, artist and track as one that is queued (or
+ * was recently submitted) is ignored.
+ *
+ * Events:
+ * - `scrobbled` ({ scrobble, accepted, ignoredCode, ignoredMessage }) for every
+ *   scrobble Last.fm accepted or ignored
+ * - `failed` (err) when a flush fails; the scrobbles stay queued unless the
+ *   error is permanent (then they are dropped and reported with `dropped`)
+ * - `dropped` ({ scrobbles, error }) for scrobbles rejected permanently
+ *
+ * @module scrobble-queue
+ */
+
+const { EventEmitter } = require('events')
+const fs = require('fs')
+
+const BATCH_SIZE = 50
+
+// Remember this many submitted scrobbles for deduplication
+const RECENT_LIMIT = 1000
+
+// Last.fm error codes that mean the user must sign in again. Scrobbles are kept
+// until a valid session is available: 4 (authentication failed), 9 (invalid
+// session key), 14 (unauthorized token), 17 (login required)
+const AUTH_ERROR_CODES = [4, 9, 14, 17]
+
+// Last.fm error codes about the app's API account rather than the scrobbles,
+// which are kept until it is fixed: 10 (invalid API key), 13 (invalid method
+// signature, e.g. a wrong API secret), 26 (suspended API key)
+const ACCOUNT_ERROR_CODES = [10, 13, 26]
+
+class ScrobbleQueue extends EventEmitter {
+  constructor (opts) {
+    super()
+    if (!opts || !opts.lastfm || !opts.path) {
+      throw new Error('Missing required options: lastfm, path')
+    }
+    this.lastfm = opts.lastfm
+    this.path = opts.path
+    this.retryInterval = opts.retryInterval || 5 * 60 * 1000
+
+    this._queue = []
+    this._recent = []
+    this._flushing = null
+    this._timer = null
+    this._load()
+  }
+
+  get size () {
+    return this._queue.length
+  }
+
+  /**
+   * Add a scrobble (`{ name, artistName, timestamp, ... }`, see
+   * `LastFM#trackScrobble`). Returns false if it is a duplicate.
+   */
+  add (scrobble) {
+    if (!scrobble || !scrobble.name || !scrobble.artistName) {
+      throw new Error('Missing required scrobble params: name, artistName')
+    }
+    const timestamp = scrobble.timestamp instanceof Date
+      ? Math.floor(scrobble.timestamp.getTime() / 1000)
+      : Number(scrobble.timestamp || Math.floor(Date.now() / 1000))
+    if (!Number.isFinite(timestamp) || timestamp <= 0) {
+      throw new Error('Invalid scrobble timestamp: ' + scrobble.timestamp)
+    }
+    const entry = Object.assign({}, scrobble, { timestamp })
+
+    const key = scrobbleKey(entry)
+    if (this._recent.includes(key) || this._queue.some(s => scrobbleKey(s) === key)) {
+      return false
+    }
+    this._queue.push(entry)
+    this._save()
+    return true
+  }
+
+  /**
+   * Submit every queued scrobble. Resolves with the per-scrobble results. Only
+   * one flush runs at a time; concurrent calls share it.
+   */
+  flush () {
+    if (!this._flushing) {
+      this._flushing = this._flush().finally(() => {
+        this._flushing = null
+      })
+    }
+    return this._flushing
+  }
+
+  /**
+   * Flush now, then periodically while scrobbles remain queued
+   */
+  start () {
+    this.stop()
+    this.flush().catch(() => {})
+    this._timer = setInterval(() => {
+      if (this._queue.length > 0) this.flush().catch(() => {})
+    }, this.retryInterval)
+    if (this._timer.unref) this._timer.unref()
+  }
+
+  stop () {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  async _flush () {
+    const results = []
+    while (this._queue.length > 0 && this.lastfm.sessionKey) {
+      const batch = this._queue.slice(0, BATCH_SIZE)
+      let data
+      try {
+        data = await this.lastfm.trackScrobble({ scrobbles: batch })
+      } catch (err) {
+        this.emit('failed', err)
+        // Only a Last.fm API error (numeric code) can reject the scrobbles
+        // themselves; network errors, expired sessions and a misconfigured API
+        // account are temporary
+        const permanent = typeof err.code === 'number' && !err.isRetryable &&
+          !AUTH_ERROR_CODES.includes(err.code) && !ACCOUNT_ERROR_CODES.includes(err.code)
+        if (!permanent) break // keep the batch and try again later
+        this._remove(batch)
+        this.emit('dropped', { scrobbles: batch, error: err })
+        continue
+      }
+
+      batch.forEach((scrobble, i) => {
+        const parsed = data.scrobbles[i] || {}
+        const result = {
+          scrobble,
+          accepted: parsed.accepted !== false,
+          ignoredCode: parsed.ignoredCode || 0,
+          ignoredMessage: parsed.ignoredMessage
+        }
+        results.push(result)
+        this.emit('scrobbled', result)
+      })
+      this._remove(batch)
+    }
+    return results
+  }
+
+  _remove (batch) {
+    this._queue = this._queue.slice(batch.length)
+    this._recent = this._recent.concat(batch.map(scrobbleKey)).slice(-RECENT_LIMIT)
+    this._save()
+  }
+
+  _load () {
+    if (!fs.existsSync(this.path)) return
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'))
+      this._queue = Array.isArray(data.queue) ? data.queue : []
+      this._recent = Array.isArray(data.recent) ? data.recent : []
+    } catch {
+      // Keep the unreadable file for inspection and start with an empty queue
+      fs.renameSync(this.path, this.path + '.corrupt.' + Date.now())
+    }
+  }
+
+  _save () {
+    // Write to a temporary file first so a crash can't leave a truncated queue
+    const tmpPath = this.path + '.tmp'
+    fs.writeFileSync(tmpPath, JSON.stringify({ queue: this._queue, recent: this._recent }))
+    fs.renameSync(tmpPath, this.path)
+  }
+}
+
+function scrobbleKey (scrobble) {
+  return [scrobble.timestamp, scrobble.artistName, scrobble.name]
+    .map(value => String(value).trim().toLowerCase())
+    .join('\n')
+}
+
+module.exports = ScrobbleQueue
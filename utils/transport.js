@@ -0,0 +1,170 @@
+/**
+ * HTTP transports used by the Last.fm client.
+ *
+ * A transport is a function `transport(req, cb)`. `req` has `url`, `method`,
+ * `headers`, `body` (a form-encoded string, for POST requests), `timeout` (ms)
+ * and `signal` (an AbortSignal). The transport calls `cb(err, res, data)` once,
+ * with `res.statusCode`, `res.size` (the body size in bytes, if known) and
+ * `data` the parsed JSON body. If the body isn't JSON, it calls back with the
+ * parse error, `res` and the raw body.
+ *
+ * @module transport
+ */
+
+const get = require('simple-get')
+const http = require('http')
+const https = require('https')
+const tls = require('tls')
+
+/**
+ * Transport built on `simple-get` (the default). Options: `agent`, `proxy`
+ * (an HTTP(S) proxy URL, used to tunnel every request) and `keepAlive`.
+ */
+function simpleGetTransport (opts) {
+  if (!opts) opts = {}
+  const agents = new Map()
+  const agentFor = protocol => {
+    if (opts.agent) return opts.agent
+    if (!opts.proxy && !opts.keepAlive) return undefined
+    if (!agents.has(protocol)) {
+      const secure = protocol === 'https:'
+      const agentOpts = { keepAlive: !!opts.keepAlive }
+      agents.set(protocol, opts.proxy
+        ? createProxyAgent(opts.proxy, secure, agentOpts)
+        : new (secure ? https : http).Agent(agentOpts))
+    }
+    return agents.get(protocol)
+  }
+
+  return (req, cb) => {
+    const reqOpts = {
+      url: req.url,
+      method: req.method,
+      headers: Object.assign({ Accept: 'application/json' }, req.headers),
+      timeout: req.timeout,
+      agent: agentFor(new URL(req.url).protocol)
+    }
+    if (req.body) reqOpts.form = req.body
+
+    let aborted = false
+    const request = get.concat(reqOpts, (err, res, body) => {
+      if (aborted) return
+      if (err) return cb(err, res)
+      res.size = body.length
+      let data
+      try {
+        data = JSON.parse(body.toString())
+      } catch (err) {
+        return cb(err, res, body)
+      }
+      cb(null, res, data)
+    })
+    if (req.signal) {
+      req.signal.addEventListener('abort', () => {
+        aborted = true
+        if (request) request.destroy()
+      }, { once: true })
+    }
+  }
+}
+
+/**
+ * Transport built on the global `fetch` (Node 18+). Options: `fetch` (a
+ * replacement implementation) and `dispatcher` (an undici dispatcher, e.g. a
+ * `ProxyAgent`, for proxies and connection pooling).
+ */
+function fetchTransport (opts) {
+  if (!opts) opts = {}
+  const fetch = opts.fetch || globalThis.fetch
+  if (typeof fetch !== 'function') {
+    throw new Error('The fetch transport requires Node 18 or later (or a `fetch` option)')
+  }
+
+  return (req, cb) => {
+    const controller = new AbortController()
+    let timedOut = false
+    const timer = req.timeout && setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, req.timeout)
+    if (req.signal) {
+      req.signal.addEventListener('abort', () => controller.abort(), { once: true })
+    }
+
+    const fetchOpts = {
+      method: req.method,
+      headers: Object.assign({ Accept: 'application/json' }, req.headers),
+      body: req.body,
+      signal: controller.signal
+    }
+    if (opts.dispatcher) fetchOpts.dispatcher = opts.dispatcher
+
+    let res
+    fetch(req.url, fetchOpts)
+      .then(response => {
+        res = { statusCode: response.status, headers: response.headers }
+        return response.text()
+      })
+      .then(text => {
+        clearTimeout(timer)
+        res.size = Buffer.byteLength(text)
+        let data
+        try {
+          data = JSON.parse(text)
+        } catch (err) {
+          return cb(err, res, text)
+        }
+        cb(null, res, data)
+      }, err => {
+        clearTimeout(timer)
+        if (timedOut) return cb(new Error('Request timed out'))
+        // Surface the system error code (e.g. ECONNRESET) like Node's http does
+        if (err.cause && err.cause.code && !err.code) err.code = err.cause.code
+        cb(err, res)
+      })
+  }
+}
+
+/**
+ * HTTP(S) agent that tunnels every connection through the proxy at `proxy`
+ * with a CONNECT request
+ */
+function createProxyAgent (proxy, secure, agentOpts) {
+  const proxyUrl = new URL(proxy)
+  const proxyModule = proxyUrl.protocol === 'https:' ? https : http
+  const headers = {}
+  if (proxyUrl.username) {
+    const auth = decodeURIComponent(proxyUrl.username) + ':' + decodeURIComponent(proxyUrl.password)
+    headers['Proxy-Authorization'] = 'Basic ' + Buffer.from(auth).toString('base64')
+  }
+
+  const Agent = secure ? https.Agent : http.Agent
+  class ProxyAgent extends Agent {
+    createConnection (options, cb) {
+      const target = options.host + ':' + options.port
+      const connectReq = proxyModule.request({
+        host: proxyUrl.hostname,
+        port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+        method: 'CONNECT',
+        path: target,
+        headers: Object.assign({ Host: target }, headers)
+      })
+      connectReq.once('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy()
+          return cb(new Error(`Proxy CONNECT failed (HTTP ${res.statusCode})`))
+        }
+        if (!secure) return cb(null, socket)
+        cb(null, tls.connect(Object.assign({}, options, {
+          socket,
+          servername: options.servername || options.host
+        })))
+      })
+      connectReq.once('error', cb)
+      connectReq.end()
+    }
+  }
+  return new ProxyAgent(agentOpts)
+}
+
+module.exports = { simpleGetTransport, fetchTransport, createProxyAgent }